@@ -0,0 +1,148 @@
+/**
+ * Command Bus
+ * Every input source publishes commands here; the character, feedback UI,
+ * sound and logging subscribe. Throttling, blocking and queueing happen
+ * in one place instead of in each input.
+ */
+
+export class CommandBus {
+  /**
+   * @param {object} options
+   * @param {CommandRegistry} options.registry - Resolves aliases and disabled commands
+   */
+  constructor({ registry }) {
+    this.registry = registry;
+    this.subscribers = [];
+
+    // Minimum ms between two deliveries of the same command; '*' applies to all.
+    // Voice and sound input can both hear one utterance, so keep a small default.
+    this.throttles = { '*': 300 };
+    this.lastDelivered = new Map(); // command → timestamp
+
+    // Active blocks by reason (e.g. 'trip'), and commands held back by them
+    this.blocks = new Map();
+    this.queue = [];
+    this.maxQueue = 3;
+  }
+
+  /**
+   * Listen for delivered commands
+   * @param {Function} listener - Called with each event {command, source, timestamp, confidence, details}
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    this.subscribers.push(listener);
+    return () => {
+      this.subscribers = this.subscribers.filter(s => s !== listener);
+    };
+  }
+
+  /**
+   * Set the minimum interval between repeats of a command ('*' for all)
+   */
+  throttle(command, ms) {
+    if (ms > 0) {
+      this.throttles[command] = ms;
+    } else {
+      delete this.throttles[command];
+    }
+  }
+
+  /**
+   * Hold back commands until unblock() is called for the same reason
+   * @param {string} reason - Who is blocking (e.g. 'trip', 'pause')
+   * @param {object} options
+   * @param {boolean} options.queue - Keep blocked commands and deliver them afterwards
+   * @param {string[]} options.allow - Commands that still get through
+   */
+  block(reason, { queue = false, allow = [] } = {}) {
+    this.blocks.set(reason, { queue, allow });
+    console.log(`⛔ Commands blocked: ${reason}`);
+  }
+
+  /**
+   * Lift a block; queued commands are delivered once nothing blocks any more
+   * @returns {number} How many queued commands were delivered
+   */
+  unblock(reason) {
+    if (!this.blocks.delete(reason)) return 0;
+    console.log(`✅ Commands unblocked: ${reason}`);
+
+    if (this.blocks.size > 0) return 0;
+    const queued = this.queue;
+    this.queue = [];
+    queued.forEach(event => this.deliver(event));
+    return queued.length;
+  }
+
+  /**
+   * Whether anything currently blocks a command
+   */
+  isBlocked(command) {
+    for (const { allow } of this.blocks.values()) {
+      if (!allow.includes(command)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Publish a command from an input source
+   * @param {object} input
+   * @param {string} input.command - Command name or alias
+   * @param {string} input.source - 'voice', 'sound', 'touch', 'switch', 'gamepad', 'keyboard', 'script' or 'world'
+   * @param {number} input.confidence - Recognizer confidence (0..1), 1 for direct input
+   * @param {object} input.details - Source-specific extras (transcript, timings...)
+   * @returns {string} 'delivered', 'queued', 'blocked', 'throttled' or 'ignored'
+   */
+  publish({ command, source, confidence = 1, details = {} }) {
+    const name = this.registry.resolve(command);
+    // Switched-off commands are the player's; the world's own rules still apply
+    if (!name || (source !== 'world' && !this.registry.isEnabled(name))) {
+      console.log(`🚫 Ignoring command: ${command} (${source})`);
+      return 'ignored';
+    }
+
+    const event = {
+      command: name,
+      source,
+      timestamp: performance.now(),
+      confidence,
+      details
+    };
+
+    if (this.isBlocked(name)) {
+      const queues = [...this.blocks.values()].some(block => block.queue);
+      if (!queues) return 'blocked';
+
+      this.queue.push(event);
+      if (this.queue.length > this.maxQueue) {
+        this.queue.shift();
+      }
+      return 'queued';
+    }
+
+    // Throttling drops repeated input; the world's rules aren't repeats of it
+    const interval = source === 'world' ? 0 : this.throttles[name] ?? this.throttles['*'] ?? 0;
+    const last = this.lastDelivered.get(name);
+    if (last !== undefined && event.timestamp - last < interval) {
+      return 'throttled';
+    }
+
+    this.deliver(event);
+    return 'delivered';
+  }
+
+  /**
+   * Hand an event to every subscriber
+   */
+  deliver(event) {
+    this.lastDelivered.set(event.command, event.timestamp);
+    for (const subscriber of this.subscribers) {
+      try {
+        subscriber(event);
+      } catch (error) {
+        console.error('Command subscriber failed:', error);
+      }
+    }
+  }
+}
@@ -0,0 +1,324 @@
+/**
+ * Calibration Wizard
+ * Caregiver panel for recording a user's own words and sounds per command
+ */
+
+import { createProfile, deriveSoundProfile } from './profiles.js';
+
+export class CalibrationWizard {
+  /**
+   * @param {object} options
+   * @param {HTMLElement} options.panel - The #calibrationPanel element
+   * @param {ProfileStore} options.store - Saved profiles
+   * @param {SpeechRecognition} options.speech - Records words
+   * @param {VocalizationRecognition} options.vocal - Records sounds
+   * @param {CommandRegistry} options.registry - Checks recorded words are free to use
+   * @param {string[]} options.commands - Commands that can be calibrated
+   * @param {Function} options.onProfileChange - Called with the active profile
+   */
+  constructor({ panel, store, speech, vocal, registry, commands, onProfileChange }) {
+    this.panel = panel;
+    this.store = store;
+    this.speech = speech;
+    this.vocal = vocal;
+    this.registry = registry;
+    this.commands = commands;
+    this.onProfileChange = onProfileChange;
+    this.isRecording = false;
+
+    this.profileSelect = panel.querySelector('#profileSelect');
+    this.nameInput = panel.querySelector('#profileName');
+    this.commandList = panel.querySelector('#calibrationCommands');
+    this.status = panel.querySelector('#calibrationStatus');
+    this.importInput = panel.querySelector('#profileImportFile');
+
+    this.bindEvents();
+    this.render();
+  }
+
+  /**
+   * Wire up the static panel controls
+   */
+  bindEvents() {
+    this.panel.querySelector('[data-close]').addEventListener('click', () => this.close());
+
+    this.profileSelect.addEventListener('change', () => {
+      this.activate(this.profileSelect.value || null);
+    });
+
+    this.panel.querySelector('#profileCreate').addEventListener('click', () => {
+      const name = this.nameInput.value.trim();
+      if (!name) {
+        this.setStatus('Type a name for the new profile first.');
+        return;
+      }
+      if (this.store.get(name)) {
+        this.setStatus(`A profile called "${name}" already exists.`);
+        return;
+      }
+      this.store.save(createProfile(name));
+      this.nameInput.value = '';
+      this.activate(name);
+    });
+
+    this.panel.querySelector('#profileDelete').addEventListener('click', () => {
+      const profile = this.store.getActive();
+      if (profile && confirm(`Delete profile "${profile.name}"?`)) {
+        this.store.remove(profile.name);
+        this.activate(null);
+      }
+    });
+
+    this.panel.querySelector('#profileExport').addEventListener('click', () => this.exportActive());
+
+    this.panel.querySelector('#profileImport').addEventListener('click', () => this.importInput.click());
+    this.importInput.addEventListener('change', () => this.importFile(this.importInput.files[0]));
+
+    // Record / clear buttons are rendered per command, so delegate
+    this.commandList.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-action]');
+      if (!button) return;
+      const { action, command } = button.dataset;
+      if (action === 'word') this.recordWord(command);
+      if (action === 'sound') this.recordSound(command);
+      if (action === 'clear') this.clearCommand(command);
+    });
+  }
+
+  /**
+   * Show the panel
+   */
+  open() {
+    this.render();
+    this.panel.hidden = false;
+  }
+
+  /**
+   * Hide the panel
+   */
+  close() {
+    this.panel.hidden = true;
+  }
+
+  /**
+   * Toggle panel visibility
+   */
+  toggle() {
+    if (this.panel.hidden) {
+      this.open();
+    } else {
+      this.close();
+    }
+  }
+
+  /**
+   * Update the status line
+   */
+  setStatus(message) {
+    this.status.textContent = message;
+  }
+
+  /**
+   * Make a profile active and apply it to the recognizers
+   */
+  activate(name) {
+    const profile = this.store.setActive(name);
+    this.onProfileChange(profile);
+    this.render();
+    this.setStatus(profile ? `Using profile "${profile.name}".` : 'Using default recognition.');
+  }
+
+  /**
+   * Active profile, or a prompt to create one
+   */
+  requireProfile() {
+    const profile = this.store.getActive();
+    if (!profile) {
+      this.setStatus('Create or choose a profile first.');
+    }
+    return profile;
+  }
+
+  /**
+   * Save changes to the active profile and re-apply it
+   */
+  commit(profile) {
+    this.store.save(profile);
+    this.onProfileChange(profile);
+    this.render();
+  }
+
+  /**
+   * Record what the recognizer hears for a command word
+   */
+  async recordWord(command) {
+    const profile = this.requireProfile();
+    if (!profile || this.isRecording) return;
+
+    this.isRecording = true;
+    this.setStatus(`Say the word for "${command}" now...`);
+    try {
+      const transcripts = await this.recordWith(this.speech);
+      const words = this.usableWords(profile, command, transcripts);
+      if (words.length === 0) {
+        this.setStatus(`Heard "${transcripts[0]}", which can't be used for "${command}". Try one word.`);
+        return;
+      }
+      const existing = profile.words[command] || [];
+      profile.words[command] = [...new Set([...existing, ...words])];
+      this.commit(profile);
+      this.setStatus(`Heard "${words.join('", "')}" for "${command}".`);
+    } catch (error) {
+      this.setStatus(`${error.message}. Try again.`);
+    } finally {
+      this.isRecording = false;
+    }
+  }
+
+  /**
+   * Record one sample with a recognizer. Words and sounds never listen
+   * together, so the other one is paused meanwhile; both are left as they were.
+   * @param {SpeechRecognition|VocalizationRecognition} recognizer - Records the sample
+   */
+  async recordWith(recognizer) {
+    const other = recognizer === this.speech ? this.vocal : this.speech;
+    const wasListening = recognizer.isListening;
+    const otherWasListening = other.isListening;
+    if (otherWasListening) other.stop();
+    try {
+      return await recognizer.recordSample();
+    } finally {
+      if (!wasListening) recognizer.stop();
+      if (otherWasListening) other.start();
+    }
+  }
+
+  /**
+   * Recognizer alternatives that can become words for a command. The
+   * recognizer may hear this user differently each time, so every alternative
+   * counts, but only single words that don't already mean another command
+   * (a phrase like "the walk" or a misheard "stop" would fire on the wrong words).
+   */
+  usableWords(profile, command, transcripts) {
+    const words = [];
+    for (const transcript of transcripts) {
+      let word;
+      try {
+        word = this.registry.checkAlias(command, transcript);
+      } catch (error) {
+        continue;
+      }
+      const takenInProfile = Object.entries(profile.words)
+        .some(([other, list]) => other !== command && list.includes(word));
+      if (!takenInProfile) words.push(word);
+    }
+    return words;
+  }
+
+  /**
+   * Record a sound sample for a command and re-derive the sound profile
+   */
+  async recordSound(command) {
+    const profile = this.requireProfile();
+    if (!profile || this.isRecording) return;
+
+    this.isRecording = true;
+    this.setStatus(`Make the sound for "${command}" now...`);
+    try {
+      const features = await this.recordWith(this.vocal);
+      const samples = profile.sounds.templates.map(template => ({ command: template.command, features: template }));
+      samples.push({ command, features });
+      profile.sounds = deriveSoundProfile(samples);
+      this.commit(profile);
+      this.setStatus(`Recorded a ${Math.round(features.duration)} ms sound for "${command}".`);
+    } catch (error) {
+      this.setStatus(`${error.message}. Try again.`);
+    } finally {
+      this.isRecording = false;
+    }
+  }
+
+  /**
+   * Forget all recorded words and sounds for a command
+   */
+  clearCommand(command) {
+    const profile = this.requireProfile();
+    if (!profile) return;
+
+    delete profile.words[command];
+    const samples = profile.sounds.templates
+      .filter(template => template.command !== command)
+      .map(template => ({ command: template.command, features: template }));
+    profile.sounds = deriveSoundProfile(samples);
+    this.commit(profile);
+    this.setStatus(`Cleared "${command}".`);
+  }
+
+  /**
+   * Download the active profile as a JSON file
+   */
+  exportActive() {
+    const profile = this.requireProfile();
+    if (!profile) return;
+
+    const blob = new Blob([this.store.exportProfile(profile.name)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `${profile.name}.profile.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+
+  /**
+   * Import a profile from a chosen JSON file and make it active
+   */
+  async importFile(file) {
+    if (!file) return;
+    try {
+      const profile = this.store.importProfile(await file.text());
+      this.activate(profile.name);
+      this.setStatus(`Imported profile "${profile.name}".`);
+    } catch (error) {
+      this.setStatus(`Could not import: ${error.message}`);
+    } finally {
+      this.importInput.value = '';
+    }
+  }
+
+  /**
+   * Redraw the profile list and per-command rows
+   */
+  render() {
+    const active = this.store.getActive();
+
+    this.profileSelect.innerHTML = '<option value="">(default)</option>';
+    for (const name of this.store.list()) {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      option.selected = active && active.name === name;
+      this.profileSelect.appendChild(option);
+    }
+
+    this.commandList.innerHTML = '';
+    for (const command of this.commands) {
+      const words = (active && active.words[command]) || [];
+      const sounds = active ? active.sounds.templates.filter(t => t.command === command).length : 0;
+
+      const row = document.createElement('div');
+      row.className = 'calibration-row';
+      row.innerHTML = `
+        <span class="calibration-command">${command}</span>
+        <span class="calibration-words"></span>
+        <span class="calibration-sounds">${sounds} sound${sounds === 1 ? '' : 's'}</span>
+        <button data-action="word" data-command="${command}" title="Record word">🎤</button>
+        <button data-action="sound" data-command="${command}" title="Record sound">🔊</button>
+        <button data-action="clear" data-command="${command}" title="Clear">✕</button>
+      `;
+      // User-provided words go in as text, never as markup
+      row.querySelector('.calibration-words').textContent = words.join(', ') || '—';
+      row.querySelectorAll('button').forEach(button => { button.disabled = !active; });
+      this.commandList.appendChild(row);
+    }
+  }
+}
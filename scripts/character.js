@@ -3,58 +3,142 @@
  * Manages the character's animation states
  */
 
+import { createBox } from './collision.js';
+
 export class Character {
-  constructor(elementId) {
+  /**
+   * @param {string} elementId - Id of the character element
+   * @param {CommandRegistry} commands - Maps command words to states
+   */
+  constructor(elementId, commands) {
     this.element = document.getElementById(elementId);
+    this.container = this.element.closest('.character-container');
+    this.commands = commands;
     this.currentState = 'idle';
     this.previousState = 'idle'; // Remember state before jump
-    this.jumpTimeout = null;
     
     // Position and movement (world coordinates)
     this.worldX = 0; // World position (character is always centered on screen)
-    this.speed = 0;
+    this.speed = 0;       // Actual speed, ramping towards targetSpeed
+    this.targetSpeed = 0;
     this.direction = 1; // 1 = right, -1 = left
-    this.lastFrameTime = 0;
+    
+    // Positions at the previous simulation step, for interpolated drawing
+    this.previousX = 0;
+    this.previousY = 0;
+    
+    // Vertical motion (scene pixels, up is positive)
+    this.worldY = 0;       // Height of the feet above the ground
+    this.velocityY = 0;
+    this.gravity = 1400;   // px/s² - a normal jump lasts about 1.2s
+    this.groundLevel = 0;  // Height of whatever is under the feet (set by the world)
+    
+    // How far the clouds follow the walk (0 = they stay put, for reduced motion)
+    this.parallax = 0.2;
+    
+    // World-space hitbox around worldX, from the feet up (the 80x160 sprite at 1.5x)
+    this.hitbox = { offsetX: -60, width: 120, height: 240 };
+    
+    // Jump heights (pixels); loud sounds scale between small and big
+    this.jumpHeights = {
+      small: 100,
+      normal: 240,
+      big: 340
+    };
     
     // Animation speeds (pixels per second)
+    // Jump has no speed of its own: it keeps the speed of the state it started from
     this.speeds = {
       idle: 0,
       walk: 100,
       run: 300,
       stop: 0,
-      jump: 800, // Fast forward leap - covers ~half screen during 1.2s jump
       wave: 0,
-      dance: 0
+      dance: 0,
+      look: 0
     };
     
-    // Valid animation states
-    this.states = ['idle', 'walk', 'run', 'stop', 'jump', 'wave', 'dance'];
-    
-    // States that automatically return to idle after a duration
-    this.temporaryStates = {
-      jump: 1200  // Jump animation lasts 1200ms (longer for easier obstacle avoidance)
+    // How speed approaches its target, so starting and stopping aren't abrupt
+    this.acceleration = {
+      curve: 'ease',   // 'linear' (steady change), 'ease' (gentle finish) or 'instant'
+      up: 200,         // Max px/s² when speeding up
+      down: 300,       // Max px/s² when slowing down
+      smoothing: 0.35  // 'ease' only: seconds to cover most of the remaining change
     };
-
-    // Bind update for requestAnimationFrame
-    this.update = this.update.bind(this);
-    requestAnimationFrame(this.update);
+    
+    // "faster" / "slower" nudge the target speed in steps
+    this.speedStep = 50;
+    this.maxSpeed = 400;
+    this.runThreshold = 200; // Target speeds from here up use the run animation
+    this.pace = 1;           // Leg animation rate relative to the gait's own speed
+    
+    // Valid animation states
+    this.states = ['idle', 'walk', 'run', 'stop', 'jump', 'wave', 'dance', 'look'];
   }
 
   /**
-   * Game loop for updating position (camera follows character)
+   * One fixed simulation step (called by the game loop)
+   * @param {number} deltaTime - Step length in seconds
    */
-  update(timestamp) {
-    if (!this.lastFrameTime) this.lastFrameTime = timestamp;
-    const deltaTime = (timestamp - this.lastFrameTime) / 1000; // in seconds
-    this.lastFrameTime = timestamp;
+  simulate(deltaTime) {
+    this.previousX = this.worldX;
+    this.previousY = this.worldY;
 
-    // Update world position based on speed
+    // Ramp towards the target speed, then move in the facing direction
+    this.approachTargetSpeed(deltaTime);
     if (this.speed > 0) {
-      this.worldX += this.speed * deltaTime;
+      this.worldX += this.speed * this.direction * deltaTime;
+    }
+
+    // Gravity pulls the character down onto the ground (or whatever it stands on)
+    if (this.isAirborne()) {
+      this.velocityY -= this.gravity * deltaTime;
+      this.worldY += this.velocityY * deltaTime;
+      if (this.worldY <= this.groundLevel) {
+        this.land();
+      }
+    }
+  }
+
+  /**
+   * World position to draw at, between the last two simulation steps
+   * @param {number} alpha - 0 = previous step, 1 = current step
+   */
+  getRenderX(alpha = 1) {
+    return this.previousX + (this.worldX - this.previousX) * alpha;
+  }
+
+  /**
+   * Height to draw at, between the last two simulation steps
+   */
+  getRenderY(alpha = 1) {
+    return this.previousY + (this.worldY - this.previousY) * alpha;
+  }
+
+  /**
+   * World-space hitbox (see collision.js)
+   * @param {number} alpha - 1 = current step, 0 = previous step
+   */
+  getHitbox(alpha = 1) {
+    return createBox(this.getRenderX(alpha), this.getRenderY(alpha), this.hitbox, this.direction);
+  }
+
+  /**
+   * Draw the character and scroll the scene (camera follows character)
+   * @param {number} alpha - Interpolation between the last two simulation steps
+   */
+  render(alpha = 1) {
+    const renderX = this.getRenderX(alpha);
+    const renderY = this.getRenderY(alpha);
+
+    this.updatePace();
+    if (this.container) {
+      // `translate` stacks with the container's scale/flip transform
+      this.container.style.translate = `0 ${-renderY}px`;
     }
 
     // Move scene elements to create parallax/scrolling effect
-    // Character stays centered, background moves left
+    // Character stays centered, background moves opposite to the character
     const ground = document.querySelector('.ground');
     const clouds = document.querySelector('.clouds');
     
@@ -62,18 +146,17 @@ export class Character {
       // Ground is 300% wide, so we loop every 100vw (1/3 of ground width)
       // This creates seamless infinite scrolling
       const loopWidth = window.innerWidth;
-      const offset = this.worldX % loopWidth;
+      // Keep the offset positive when walking left past the start
+      const offset = ((renderX % loopWidth) + loopWidth) % loopWidth;
       ground.style.transform = `translateX(${-offset}px)`;
     }
     
     if (clouds) {
       // Clouds move slower for parallax effect (0.2x speed)
       // Clouds are positioned absolutely so just shift them
-      const cloudOffset = this.worldX * 0.2;
+      const cloudOffset = renderX * this.parallax;
       clouds.style.transform = `translateX(${-cloudOffset}px)`;
     }
-
-    requestAnimationFrame(this.update);
   }
   
   /**
@@ -86,17 +169,9 @@ export class Character {
       return false;
     }
     
-    // Clear any pending state timeouts
-    if (this.jumpTimeout) {
-      clearTimeout(this.jumpTimeout);
-      this.jumpTimeout = null;
-    }
-    
     // Save previous state before changing (for jump to return to)
     if (newState === 'jump' && this.currentState !== 'jump') {
       this.previousState = this.currentState;
-      // Keep the speed from the previous state during jump
-      this.speed = this.speeds[this.previousState] || 0;
     }
     
     // Remove current state class
@@ -106,24 +181,159 @@ export class Character {
     this.element.classList.add(newState);
     this.currentState = newState;
     
-    // Update speed based on new state (unless jumping - keep previous speed)
+    // Aim for the new state's speed (unless jumping - keep previous speed)
     if (newState !== 'jump') {
-      this.speed = this.speeds[newState] || 0;
+      this.targetSpeed = this.speeds[newState] || 0;
     }
     
-    console.log(`🎭 Character state: ${newState}, Speed: ${this.speed}`);
+    console.log(`🎭 Character state: ${newState}, Target speed: ${this.targetSpeed}`);
     
-    // Handle temporary states - return to previous state after jump
-    if (this.temporaryStates[newState]) {
-      this.jumpTimeout = setTimeout(() => {
-        // Return to previous state, not idle
-        this.setState(this.previousState);
-      }, this.temporaryStates[newState]);
+    return true;
+  }
+
+  /**
+   * Move the actual speed one frame closer to the target speed
+   */
+  approachTargetSpeed(deltaTime) {
+    const difference = this.targetSpeed - this.speed;
+    if (difference === 0) return;
+
+    const { curve, up, down, smoothing } = this.acceleration;
+    if (curve === 'instant') {
+      this.speed = this.targetSpeed;
+      return;
     }
-    
+
+    // Never change faster than the acceleration limit allows
+    const limit = (difference > 0 ? up : down) * deltaTime;
+    let step = Math.sign(difference) * limit;
+    if (curve === 'ease') {
+      // Cover a share of the remaining gap, so the change tapers off at the end
+      const eased = difference * (1 - Math.exp(-deltaTime / smoothing));
+      step = Math.max(-limit, Math.min(limit, eased));
+    }
+
+    if (Math.abs(difference) <= Math.max(Math.abs(step), 1)) {
+      this.speed = this.targetSpeed;
+    } else {
+      this.speed += step;
+    }
+  }
+
+  /**
+   * Tie the leg/arm animation rate to the actual speed (CSS reads --pace)
+   */
+  updatePace() {
+    const gaitSpeed = this.speeds[this.currentState];
+    // Only walk and run have a stride to speed up; keep a visible minimum
+    const pace = gaitSpeed ? Math.max(0.3, Math.min(2, this.speed / gaitSpeed)) : 1;
+    // Small steps avoid restarting the CSS animations every frame
+    const rounded = Math.round(pace * 20) / 20;
+    if (rounded !== this.pace) {
+      this.pace = rounded;
+      this.element.style.setProperty('--pace', rounded);
+    }
+  }
+
+  /**
+   * Nudge the target speed up or down, switching between walk and run to match
+   * @param {number} steps - Positive for faster, negative for slower
+   */
+  changePace(steps) {
+    const target = Math.max(0, Math.min(this.maxSpeed, this.targetSpeed + steps * this.speedStep));
+    let gait = 'walk';
+    if (target === 0) gait = 'stop';
+    else if (target >= this.runThreshold) gait = 'run';
+
+    if (this.currentState === 'jump') {
+      // Carry on at the new pace after landing
+      this.previousState = gait;
+    } else if (gait !== this.currentState) {
+      this.setState(gait);
+    }
+    this.targetSpeed = target;
+
+    console.log(`${steps > 0 ? '⏩' : '⏪'} Target speed: ${target}`);
     return true;
   }
+
+  /**
+   * Whether the feet are off the ground (or off whatever is underneath)
+   */
+  isAirborne() {
+    return this.worldY > this.groundLevel || this.velocityY > 0;
+  }
+
+  /**
+   * Leap upwards; the jump ends when gravity brings the character back down
+   * @param {number} height - Peak height in pixels
+   */
+  jump(height = this.jumpHeights.normal) {
+    if (this.isAirborne()) return false; // No double jumps
+
+    this.velocityY = Math.sqrt(2 * this.gravity * height);
+    console.log(`⬆️ Jump: ${Math.round(height)}px`);
+    return this.setState('jump');
+  }
+
+  /**
+   * Touch down and go back to what the character was doing before the jump
+   */
+  land() {
+    this.worldY = this.groundLevel;
+    this.velocityY = 0;
+    if (this.currentState === 'jump') {
+      // Return to previous state, not idle, at the speed we were going for
+      const target = this.targetSpeed;
+      this.setState(this.previousState);
+      this.targetSpeed = target;
+    }
+  }
+
+  /**
+   * Knocked over (e.g. by a stone): no forward motion, and stay put on landing
+   */
+  stumble() {
+    this.speed = 0;
+    this.targetSpeed = 0;
+    if (this.currentState === 'jump') {
+      this.previousState = 'stop';
+    }
+  }
+
+  /**
+   * How high a jump command should go
+   * @param {object} details - Command details: `size` ('small'/'big') from
+   *   words like "big jump", or `loudness` (0..1) from sound commands
+   */
+  getJumpHeight(details = {}) {
+    if (this.jumpHeights[details.size]) return this.jumpHeights[details.size];
+    if (typeof details.loudness === 'number') {
+      const { small, big } = this.jumpHeights;
+      return small + (big - small) * Math.min(1, Math.max(0, details.loudness));
+    }
+    return this.jumpHeights.normal;
+  }
   
+  /**
+   * Face left or right; turning while stopped starts a walk that way
+   * @param {number} direction - 1 = right, -1 = left
+   * @param {boolean} startMoving - Walk off if currently standing still
+   */
+  face(direction, startMoving = true) {
+    this.direction = direction;
+    if (this.container) {
+      this.container.classList.toggle('facing-left', direction < 0);
+    }
+
+    console.log(`🔄 Facing ${direction < 0 ? 'left' : 'right'}`);
+
+    if (startMoving && this.targetSpeed === 0 && this.currentState !== 'jump') {
+      return this.setState('walk');
+    }
+    return true;
+  }
+
   /**
    * Get current animation state
    */
@@ -133,26 +343,40 @@ export class Character {
   
   /**
    * Process a voice command
+   * @param {string} command - Command name or alias
+   * @param {object} details - Extras from the input source (jump size, loudness...),
+   *   or `stumble` when the world knocks the character over
    */
-  processCommand(command) {
-    switch (command) {
-      case 'walk':
-        return this.setState('walk');
-      case 'run':
-      case 'sprint':
-        return this.setState('run');
-      case 'stop':
-      case 'halt':
-        return this.setState('stop');
-      case 'jump':
-        return this.setState('jump');
-      case 'wave':
-        return this.setState('wave');
-      case 'dance':
-        return this.setState('dance');
-      default:
-        console.warn(`Unknown command: ${command}`);
-        return false;
+  processCommand(command, details = {}) {
+    const name = this.commands.resolve(command);
+    if (!name) {
+      console.warn(`Unknown command: ${command}`);
+      return false;
+    }
+    // Knocked over by the world (a stone, a lowered barrier) on the way into the command
+    if (details.stumble) {
+      this.stumble();
+    }
+    if (!this.commands.isEnabled(name)) {
+      console.warn(`Command disabled: ${name}`);
+      return false;
+    }
+
+    const definition = this.commands.get(name);
+    if (definition.game) {
+      return false; // Pause/resume are handled by the game, not the character
+    }
+    if (definition.face) {
+      // 'turn' flips in place; 'left'/'right' also get a standing character going
+      const flip = definition.face === 'flip';
+      return this.face(flip ? -this.direction : definition.face, !flip);
+    }
+    if (definition.pace) {
+      return this.changePace(definition.pace);
+    }
+    if (definition.state === 'jump') {
+      return this.jump(this.getJumpHeight(details));
     }
+    return this.setState(definition.state);
   }
 }
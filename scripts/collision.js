@@ -0,0 +1,94 @@
+/**
+ * Collision Module
+ * World-space hitboxes and overlap tracking. Pure geometry with no DOM, so
+ * collisions are the same at any screen size and can be tested under Node.
+ *
+ * A hitbox is declared relative to its owner's anchor (world x, feet height)
+ * as { offsetX, width, height, offsetY }, drawn facing right.
+ * A box is the resolved rectangle { left, right, bottom, top } in world
+ * pixels: x along the street, y up from the ground.
+ */
+
+/**
+ * Place a hitbox in the world
+ * @param {number} x - Owner's world X
+ * @param {number} y - Owner's height above the ground
+ * @param {object} hitbox - { offsetX, width, height, offsetY }
+ * @param {number} direction - -1 mirrors the hitbox around x (owner facing left)
+ */
+export function createBox(x, y, hitbox, direction = 1) {
+  const offsetX = direction < 0 ? -(hitbox.offsetX + hitbox.width) : hitbox.offsetX;
+  const bottom = y + (hitbox.offsetY || 0);
+  return {
+    left: x + offsetX,
+    right: x + offsetX + hitbox.width,
+    bottom,
+    top: bottom + hitbox.height
+  };
+}
+
+/**
+ * Boxes share some horizontal span (one may be above the other)
+ */
+export function overlapsX(a, b) {
+  return a.left < b.right && b.left < a.right;
+}
+
+/**
+ * Boxes intersect; touching edges don't count, so standing on top isn't a hit
+ */
+export function overlaps(a, b) {
+  return overlapsX(a, b) && a.bottom < b.top && b.bottom < a.top;
+}
+
+/**
+ * Follows which targets one box is touching from step to step and reports
+ * the changes:
+ * - enter: started overlapping this step
+ * - overlap: still overlapping
+ * - exit: stopped overlapping
+ */
+export class CollisionTracker {
+  constructor() {
+    this.touching = new Set(); // ids of targets overlapping the box
+  }
+
+  /**
+   * Compare the box against every target
+   * @param {object} box - The tracked box (e.g. the player's)
+   * @param {object[]} targets - Objects with `id` and `box` (null box = not collidable)
+   * @returns {{type: string, target: object}[]} Events, in target order
+   */
+  update(box, targets) {
+    const events = [];
+    for (const target of targets) {
+      const touching = Boolean(target.box) && overlaps(box, target.box);
+      const wasTouching = this.touching.has(target.id);
+
+      if (touching && !wasTouching) {
+        this.touching.add(target.id);
+        events.push({ type: 'enter', target });
+      } else if (touching) {
+        events.push({ type: 'overlap', target });
+      } else if (wasTouching) {
+        this.touching.delete(target.id);
+        events.push({ type: 'exit', target });
+      }
+    }
+    return events;
+  }
+
+  /**
+   * Drop a target that left the world (no exit event)
+   */
+  forget(id) {
+    this.touching.delete(id);
+  }
+
+  /**
+   * Forget everything
+   */
+  clear() {
+    this.touching.clear();
+  }
+}
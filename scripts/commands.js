@@ -0,0 +1,215 @@
+/**
+ * Command Registry
+ * Single source of truth for which commands exist, what words trigger them,
+ * and which character state they lead to. Caregiver edits persist locally.
+ */
+
+import { locales } from './locales.js';
+
+const STORAGE_KEY = 'voiceGame.commands';
+
+/**
+ * Built-in commands, in display order.
+ * `state` switches the character's animation state; `face` changes facing
+ * direction (1 = right, -1 = left, 'flip' = turn around); `pace` nudges the
+ * speed up (1) or down (-1) a step. `game` commands control the game itself
+ * (pause, resume) rather than the character.
+ */
+export const COMMAND_DEFINITIONS = {
+  walk: { emoji: '🚶', state: 'walk' },
+  run: { emoji: '🏃', state: 'run' },
+  stop: { emoji: '🛑', state: 'stop' },
+  jump: { emoji: '⬆️', state: 'jump' },
+  wave: { emoji: '👋', state: 'wave' },
+  dance: { emoji: '💃', state: 'dance' },
+  look: { emoji: '👀', state: 'look' },
+  turn: { emoji: '🔄', face: 'flip' },
+  left: { emoji: '⬅️', face: -1 },
+  right: { emoji: '➡️', face: 1 },
+  faster: { emoji: '⏩', pace: 1 },
+  slower: { emoji: '⏪', pace: -1 },
+  pause: { emoji: '⏸️', game: 'pause' },
+  resume: { emoji: '▶️', game: 'resume' }
+};
+
+/**
+ * Normalise a word the same way transcripts are normalised
+ */
+function normalizeWord(word) {
+  return String(word).toLowerCase().trim();
+}
+
+export class CommandRegistry {
+  constructor(storage = window.localStorage) {
+    this.storage = storage;
+    this.listeners = [];
+
+    const saved = this.load();
+    // Caregiver words per command, e.g. { jump: ['boing'] }
+    this.customAliases = saved.customAliases || {};
+    // Commands switched off by a caregiver
+    this.disabled = new Set(saved.disabled || []);
+  }
+
+  /**
+   * Read caregiver edits from storage
+   */
+  load() {
+    try {
+      return JSON.parse(this.storage.getItem(STORAGE_KEY)) || {};
+    } catch (e) {
+      console.warn('Could not read saved commands, using defaults');
+      return {};
+    }
+  }
+
+  /**
+   * Save caregiver edits and notify listeners
+   */
+  persist() {
+    this.storage.setItem(STORAGE_KEY, JSON.stringify({
+      customAliases: this.customAliases,
+      disabled: [...this.disabled]
+    }));
+    this.listeners.forEach(listener => listener(this));
+  }
+
+  /**
+   * Call a function whenever commands are edited
+   */
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * All command names, in display order
+   */
+  list() {
+    return Object.keys(COMMAND_DEFINITIONS);
+  }
+
+  /**
+   * Command names that are currently switched on
+   */
+  listEnabled() {
+    return this.list().filter(command => this.isEnabled(command));
+  }
+
+  /**
+   * Definition (emoji, state, face or pace) of a command
+   */
+  get(command) {
+    return COMMAND_DEFINITIONS[command] || null;
+  }
+
+  /**
+   * Whether a command exists and is switched on
+   */
+  isEnabled(command) {
+    return !!COMMAND_DEFINITIONS[command] && !this.disabled.has(command);
+  }
+
+  /**
+   * Switch a command on or off
+   */
+  setEnabled(command, enabled) {
+    if (!COMMAND_DEFINITIONS[command]) return false;
+    if (enabled) {
+      this.disabled.delete(command);
+    } else {
+      this.disabled.add(command);
+    }
+    this.persist();
+    return true;
+  }
+
+  /**
+   * Caregiver words for a command
+   */
+  getCustomAliases(command) {
+    return this.customAliases[command] || [];
+  }
+
+  /**
+   * Bind a new word to a command
+   * @throws {Error} If the word is empty, several words, or already used
+   */
+  addAlias(command, word) {
+    const alias = this.checkAlias(command, word);
+    const aliases = this.getCustomAliases(command);
+    if (!aliases.includes(alias)) {
+      this.customAliases[command] = [...aliases, alias];
+      this.persist();
+    }
+    return alias;
+  }
+
+  /**
+   * Normalise a word for a command, checking it could be bound to it
+   * @returns {string} The normalised word
+   * @throws {Error} If the word is empty, several words, or already used
+   */
+  checkAlias(command, word) {
+    const alias = normalizeWord(word);
+    if (!COMMAND_DEFINITIONS[command]) {
+      throw new Error(`Unknown command: ${command}`);
+    }
+    if (!alias) {
+      throw new Error('Type a word first');
+    }
+    if (/\s/.test(alias)) {
+      throw new Error('Use a single word');
+    }
+
+    const owner = this.resolve(alias);
+    if (owner && owner !== command) {
+      throw new Error(`"${alias}" already means ${owner}`);
+    }
+    return alias;
+  }
+
+  /**
+   * Unbind a caregiver word
+   */
+  removeAlias(command, word) {
+    const alias = normalizeWord(word);
+    this.customAliases[command] = this.getCustomAliases(command).filter(a => a !== alias);
+    if (this.customAliases[command].length === 0) {
+      delete this.customAliases[command];
+    }
+    this.persist();
+  }
+
+  /**
+   * Words the recognizer should listen for: language words plus caregiver
+   * words, for enabled commands only
+   */
+  getVocabulary(locale) {
+    const vocabulary = {};
+    for (const command of this.listEnabled()) {
+      const words = (locale.commands[command] || []).concat(this.getCustomAliases(command));
+      vocabulary[command] = [...new Set(words)];
+    }
+    return vocabulary;
+  }
+
+  /**
+   * Turn any known word (command name, alias in any language, or caregiver word)
+   * into its command name
+   * @returns {string|null} Command name, whether enabled or not
+   */
+  resolve(word) {
+    const alias = normalizeWord(word);
+    if (COMMAND_DEFINITIONS[alias]) return alias;
+
+    for (const command of this.list()) {
+      if (this.getCustomAliases(command).includes(alias)) return command;
+    }
+    for (const locale of Object.values(locales)) {
+      for (const [command, aliases] of Object.entries(locale.commands)) {
+        if (aliases.includes(alias)) return command;
+      }
+    }
+    return null;
+  }
+}
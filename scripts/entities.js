@@ -0,0 +1,615 @@
+/**
+ * World Entity Types
+ * Declarations of everything that can appear in the world: how it looks,
+ * which layer it lives on, how it moves, when it spawns and what it does.
+ * WorldObjects creates and updates instances from these; adding a new kind
+ * of object means adding an entry here (or calling world.registerType()).
+ */
+
+import { t } from './locales.js';
+import { overlapsX } from './collision.js';
+
+/**
+ * Layers decide the CSS class and coordinate system of an entity.
+ * `scrolls` layers use world coordinates and move with the street (the
+ * plane and the train too, so they keep their place as the camera follows
+ * the player); a layer without it would use screen coordinates.
+ */
+export const LAYERS = {
+  street: { className: 'world-object', scrolls: true },
+  sky: { className: 'sky-object', scrolls: true },
+  tracks: { className: 'ground-object', scrolls: true }
+};
+
+/**
+ * Spawn pools roll once per interval and pick at most one type from those
+ * that name the pool, using each type's `chance`.
+ * `jitter` adds a random extra wait (ms) to each interval.
+ */
+export const SPAWN_POOLS = {
+  street: { interval: 4000, jitter: 0 },       // Spawn new street object every 4 seconds
+  sky: { interval: 15000, jitter: 10000 },     // Every 15-25 seconds
+  tracks: { interval: 20000, jitter: 10000 },  // Every 20-30 seconds
+  items: { interval: 5000, jitter: 3000 }      // Every 5-8 seconds
+};
+
+// Animation classes the dog's modes switch between
+const DOG_CLASSES = ['running', 'caught', 'sitting', 'wagging', 'racing', 'playing'];
+
+/**
+ * Show the dog with exactly these animation classes
+ */
+function showDog(dog, ...classes) {
+  const look = classes.join(' ');
+  if (dog.look === look) return;
+  dog.look = look;
+  dog.element.classList.remove(...DOG_CLASSES);
+  dog.element.classList.add(...classes);
+}
+
+/**
+ * How the player is greeting a dog right now, if at all
+ * @returns {string|null} 'stop' (standing still), 'wave', 'jump' (play) or null
+ */
+function getDogGreeting(frame) {
+  if (frame.playerState === 'wave') return 'wave';
+  if (frame.playerState === 'jump') return 'jump';
+  const standing = frame.playerState === 'stop' || frame.playerState === 'idle';
+  return standing && frame.playerSpeed < 20 ? 'stop' : null;
+}
+
+/**
+ * Turn the dog into a friend that keeps the player company
+ * @param {string} how - 'stop', 'wave', 'jump', or 'friendly' for friendly mode
+ */
+function befriendDog(dog, how, world) {
+  if (dog.mode === 'caught') world.hideFeedback();
+  dog.mode = 'friend';
+  dog.friendSince = world.time;
+  // Greets the player for a moment before following: sits, wags or hops about
+  dog.greeting = how;
+  dog.greetUntil = how === 'friendly' ? 0 : world.time + 1500;
+
+  if (how !== 'friendly') {
+    console.log(`🐶 Made friends with the dog (${how})`);
+    world.showMessage(t('dogFriend'), 2000);
+    world.emit('dog', { outcome: 'befriended', how, id: dog.id });
+  }
+}
+
+/**
+ * Keep a friendly dog next to the player: trotting behind, racing ahead
+ * while they run, and sitting down when they stop
+ */
+function followPlayer(dog, frame) {
+  const { def } = dog;
+
+  if (frame.time < dog.greetUntil) {
+    dog.speed = 0;
+    if (dog.greeting === 'stop') showDog(dog, 'sitting', 'wagging');
+    else if (dog.greeting === 'jump') showDog(dog, 'playing', 'wagging');
+    else showDog(dog, 'wagging');
+    return;
+  }
+
+  const racing = frame.playerState === 'run';
+  const offset = racing ? def.raceLead : -def.followGap;
+  const target = frame.playerX + offset * frame.playerDirection;
+
+  // Match the player's velocity and close the gap, up to a quick sprint
+  const playerVelocity = frame.playerSpeed * frame.playerDirection;
+  const velocity = Math.max(-450, Math.min(450, playerVelocity + (target - dog.x) * 3));
+  dog.speed = Math.abs(velocity);
+  dog.direction = dog.speed > 20 ? Math.sign(velocity) : frame.playerDirection;
+  dog.element.classList.toggle('facing-left', dog.direction < 0);
+
+  if (dog.speed <= 20) showDog(dog, 'sitting', 'wagging');
+  else if (racing) showDog(dog, 'running', 'racing', 'wagging');
+  else showDog(dog, 'running', 'wagging');
+}
+
+/**
+ * A pick-up over the street: touching it collects it for points (reported
+ * as a 'collect' event). The sprite's height above the street is in the
+ * stylesheet and must match `height` here.
+ * @param {string} item - Type name, reported as `item`
+ * @param {object} options - emoji, points, height (world px above the street) and spawn chance
+ */
+function collectible(item, { emoji, points, height, chance }) {
+  return {
+    className: `collectible-container ${item}`,
+    template: `<div class="collectible">${emoji}</div>`,
+    layer: 'street',
+    width: 50,
+    speed: 0,
+    hitbox: { offsetX: 0, offsetY: height, width: 50, height: 50 },
+    activeClass: 'floating',
+    spawn: { pool: 'items', chance, max: 3, side: 'ahead', minGap: 200 },
+    points,
+
+    onSpawn(entity) {
+      entity.collected = false;
+    },
+
+    onCollision(entity, type, frame, world) {
+      if (type !== 'enter' || entity.collected) return;
+      entity.collected = true;
+      entity.element.classList.add('collected');
+      console.log(`${emoji} Collected a ${item}!`);
+      world.emit('collect', { item, points, id: entity.id });
+    }
+  };
+}
+
+/**
+ * Entity type fields:
+ * - className, template: container class and inner HTML
+ * - layer: key of LAYERS
+ * - width: pixels, for despawning once completely off-screen
+ * - speed: own movement in px/s (along the direction it moves away from its spawn side)
+ * - flips: mirror the sprite (`facing-left`) when moving left
+ * - activeClass: class added while alive (runs the CSS animation)
+ * - hazard: something to avoid; never spawns in calm mode
+ * - spawn: { pool, chance, max, side, minGap }
+ *     side: 'ahead' / 'behind' the player (street) or 'left' / 'right' screen edge
+ *     minGap: keep new instances this far (px) from existing ones of the type
+ * - offsetX(entity): extra screen offset when drawing
+ * - hitbox: { offsetX, width, height, offsetY } around x in world pixels, drawn facing
+ *     right (mirrored for `flips` types moving left); street layer only
+ * - onSpawn / update / onDespawn(entity, ...) hooks for behaviour; onDespawn
+ *     also gets the reason ('offscreen' when it scrolled away)
+ * - onCollision(entity, type, frame, world): the player's hitbox started
+ *     ('enter'), kept ('overlap') or stopped ('exit') overlapping this one
+ *
+ * Hooks see `frame.playerBox` (the player's hitbox this step) and
+ * `frame.previousPlayerBox` (last step's), and entities have `box`.
+ * world.emit(type, detail) reports outcomes to whoever tracks progress.
+ */
+export const ENTITY_TYPES = {
+  dog: {
+    className: 'dog-container',
+    template: `
+      <div class="dog">
+        <div class="dog-body">
+          <div class="dog-head">
+            <div class="dog-ear left-ear"></div>
+            <div class="dog-ear right-ear"></div>
+            <div class="dog-face">
+              <div class="dog-eye"></div>
+              <div class="dog-nose"></div>
+            </div>
+          </div>
+          <div class="dog-torso"></div>
+          <div class="dog-tail"></div>
+          <div class="dog-leg front-left"></div>
+          <div class="dog-leg front-right"></div>
+          <div class="dog-leg back-left"></div>
+          <div class="dog-leg back-right"></div>
+        </div>
+      </div>
+    `,
+    layer: 'street',
+    width: 100,
+    speed: 200, // Dog runs at 200px/s (between walk and run)
+    flips: true,
+    hazard: true, // Unless world.setFriendly('dog') makes every dog a friend
+    activeClass: 'running',
+    // Dog starts off-screen behind the player and runs the way they're heading
+    spawn: { pool: 'street', chance: 0.25, max: 1, side: 'behind' },
+
+    // Draw the dog trailing its position, so x is the tip of its nose
+    // (the dog sprite is 80px wide, 120px at 1.5x)
+    offsetX: (dog) => -40 - 60 * dog.direction,
+    hitbox: { offsetX: -120, width: 120, height: 75 },
+    nearRange: 250,       // Stopping, waving or jumping this close (world px) befriends it
+    followGap: 70,        // A friend trots with its nose this far behind the player
+    raceLead: 120,        // ...and this far ahead while they run together
+    companionTime: 30000, // A friend keeps the player company this long (ms)
+
+    // Modes: 'chasing' → 'caught' (jumping on the player), or 'friend'
+    // (sitting / following / racing) → 'leaving' once it has had enough
+    onSpawn(dog, world) {
+      dog.mode = 'chasing';
+      dog.look = 'running';
+      dog.seen = false; // Has been on screen (a dog never seen can't have been outrun)
+      if (world.friendlyTypes.has('dog')) {
+        befriendDog(dog, 'friendly', world);
+        console.log('🐶 A friendly dog is coming to say hello!');
+        return;
+      }
+      console.log(`🐕 Dog is chasing from the ${dog.direction > 0 ? 'left' : 'right'}!`);
+    },
+
+    onCollision(dog, type, frame, world) {
+      if (type === 'exit' || dog.mode !== 'chasing') return;
+
+      // Player speed along the dog's path (negative when running towards it)
+      const escapeSpeed = frame.playerSpeed * frame.playerDirection * dog.direction;
+      if (escapeSpeed < dog.speed) {
+        dog.mode = 'caught';
+        showDog(dog, 'caught');
+        console.log('🐕 Dog caught you! Run faster!');
+        world.showFeedback(t('dogCaught'), 'danger');
+        world.emit('dog', { outcome: 'caught', id: dog.id });
+      }
+    },
+
+    update(dog, frame, world) {
+      const { def } = dog;
+      if (dog.screenX >= 0 && dog.screenX <= window.innerWidth) dog.seen = true;
+
+      // Standing still, waving or jumping near a chasing dog makes friends
+      if (dog.mode === 'chasing' || dog.mode === 'caught') {
+        const centre = (dog.box.left + dog.box.right) / 2;
+        if (Math.abs(centre - frame.playerX) <= def.nearRange) {
+          const how = getDogGreeting(frame);
+          if (how) befriendDog(dog, how, world);
+        }
+      }
+
+      if (dog.mode === 'caught') {
+        const escapeSpeed = frame.playerSpeed * frame.playerDirection * dog.direction;
+        if (escapeSpeed > dog.speed) {
+          dog.mode = 'chasing';
+          showDog(dog, 'running');
+          world.hideFeedback();
+        }
+      }
+
+      if (dog.mode === 'friend') {
+        if (frame.time - dog.friendSince > def.companionTime) {
+          // Trots off home, away from where the player is heading
+          dog.mode = 'leaving';
+          dog.direction = -frame.playerDirection;
+          dog.speed = def.speed;
+          dog.element.classList.toggle('facing-left', dog.direction < 0);
+          showDog(dog, 'running', 'wagging');
+          console.log('🐶 The dog trots off home');
+        } else {
+          followPlayer(dog, frame);
+        }
+      }
+
+      // The jump-on-you animation moves the container, so it needs the position too
+      dog.element.style.setProperty('--dog-x', `${dog.screenX}px`);
+    },
+
+    onDespawn(dog, world, reason) {
+      if (reason !== 'offscreen') return;
+      if (dog.mode === 'chasing' && dog.seen) {
+        console.log('🐕 Dog gave up!');
+        world.emit('dog', { outcome: 'outrun', id: dog.id });
+      } else if (dog.mode === 'leaving') {
+        console.log('🐶 Bye, dog!');
+      }
+    }
+  },
+
+  wavingPerson: {
+    className: 'waving-person-container',
+    template: `
+      <div class="waving-person">
+        <div class="wp-body">
+          <div class="wp-head">
+            <div class="wp-hair"></div>
+            <div class="wp-face">
+              <div class="wp-eye"></div>
+              <div class="wp-smile"></div>
+            </div>
+          </div>
+          <div class="wp-torso"></div>
+          <div class="wp-arm wave-arm"></div>
+          <div class="wp-arm still-arm"></div>
+          <div class="wp-leg left"></div>
+          <div class="wp-leg right"></div>
+        </div>
+      </div>
+      <div class="speech-bubble"></div>
+    `,
+    layer: 'street',
+    width: 100,
+    speed: 0,
+    hitbox: { offsetX: -15, width: 90, height: 180 }, // 60x120 sprite at 1.5x
+    activeClass: 'waving',
+    spawn: { pool: 'street', chance: 0.25, max: 3, side: 'ahead', minGap: 150 },
+    greetRange: 400,      // Waving this close (world px) counts as greeting them
+    bubbleDuration: 2500, // How long the speech bubble stays up (ms)
+
+    onSpawn(person) {
+      person.greeted = false;
+      console.log('👋 Someone is waving!');
+    },
+
+    update(person, frame, world) {
+      if (person.greeted) {
+        if (person.talking && frame.time >= person.bubbleUntil) {
+          person.talking = false;
+          person.element.classList.remove('talking');
+        }
+        return;
+      }
+
+      // The player waves while close enough: they wave back and say hello
+      const centre = (person.box.left + person.box.right) / 2;
+      if (frame.playerState !== 'wave' || Math.abs(centre - frame.playerX) > person.def.greetRange) return;
+
+      person.greeted = true;
+      person.talking = true;
+      person.bubbleUntil = frame.time + person.def.bubbleDuration;
+      person.element.querySelector('.speech-bubble').textContent = t('greetingBubble');
+      person.element.classList.add('greeted', 'talking');
+      console.log('👋 They waved back!');
+      world.showMessage(t('greetingReturned'), 2000);
+      world.emit('greeting', { returned: true, id: person.id });
+    },
+
+    onDespawn(person, world, reason) {
+      // Walked past without saying hello
+      if (reason === 'offscreen' && !person.greeted) {
+        console.log('👋 Greeting missed');
+        world.emit('greeting', { returned: false, id: person.id });
+      }
+    }
+  },
+
+  stone: {
+    className: 'stone-container',
+    template: `
+      <div class="stone">
+        <div class="stone-body"></div>
+        <div class="stone-shadow"></div>
+      </div>
+    `,
+    layer: 'street',
+    width: 60,
+    speed: 0,
+    hazard: true,
+    hitbox: { offsetX: -10, width: 60, height: 38 }, // Feet above the top clear it (or land on it)
+    spawn: { pool: 'street', chance: 0.25, max: 2, side: 'ahead', minGap: 250 },
+
+    onSpawn(stone, world) {
+      stone.hit = false; // Tripped over or cleared already
+      console.log('🪨 Stone ahead! Jump!');
+      world.showFeedback(t('stoneAhead'), 'warning');
+    },
+
+    onCollision(stone, type, frame, world) {
+      if (type !== 'enter' || stone.hit || world.isTripped) return;
+
+      // Coming down onto the top is a landing, not a trip
+      if (frame.previousPlayerBox.bottom >= stone.box.top - 1) return;
+
+      // Walked (or clipped a jump) into its side
+      const { playerBox, playerHeight } = frame;
+      console.log(playerHeight > 0 ? '💥 CLIPPED the stone mid-jump:' : '💥 Walked into the stone:');
+      console.log(`  Character: ${playerBox.left.toFixed(1)}..${playerBox.right.toFixed(1)} (facing ${frame.playerDirection > 0 ? 'right' : 'left'})`);
+      console.log(`  Stone: ${stone.box.left.toFixed(1)}..${stone.box.right.toFixed(1)}`);
+      console.log(`  Feet height: ${playerHeight.toFixed(1)}px (stone: ${stone.box.top}px)`);
+
+      stone.hit = true;
+      world.tripPlayer();
+      world.emit('stone', { outcome: 'tripped', id: stone.id });
+    },
+
+    update(stone, frame, world) {
+      // Feet above the stone while over it: it holds the player up, so a
+      // jump can land on top, and walking off the far side drops back down
+      const top = stone.box.top;
+      if (overlapsX(frame.playerBox, stone.box) && !world.isTripped && frame.playerHeight >= top - 1) {
+        frame.groundLevel = Math.max(frame.groundLevel, top);
+        if (!stone.hit) {
+          stone.hit = true;
+          console.log(`✅ Cleared the stone at ${Math.round(frame.playerHeight)}px!`);
+          world.emit('stone', { outcome: 'cleared', id: stone.id });
+        }
+      }
+    }
+  },
+
+  airplane: {
+    className: 'airplane-container',
+    template: `
+      <div class="airplane">
+        <div class="plane-body"></div>
+        <div class="plane-wing"></div>
+        <div class="plane-tail"></div>
+        <div class="plane-windows"></div>
+        <div class="plane-trail"></div>
+      </div>
+    `,
+    layer: 'sky',
+    width: 200,
+    speed: 250, // pixels per second
+    activeClass: 'flying',
+    // Flies right to left (max 1 at a time)
+    spawn: { pool: 'sky', chance: 0.4, max: 1, side: 'right' },
+
+    onSpawn(plane, world) {
+      plane.responded = false;
+      console.log('✈️ Airplane flying overhead!');
+      world.showMessage(t('airplaneHere'), 3000);
+    },
+
+    update(plane, frame, world) {
+      if (plane.responded) return;
+
+      // Waving or looking up while it's on screen: the pilot waves back
+      const visible = plane.screenX + plane.def.width > 0 && plane.screenX < window.innerWidth;
+      if (!visible || (frame.playerState !== 'wave' && frame.playerState !== 'look')) return;
+
+      plane.responded = true;
+      plane.element.classList.add('waved');
+      console.log(`✈️ The pilot saw you (${frame.playerState})!`);
+      world.showMessage(t('airplaneWaved'), 2000);
+      world.emit('airplane', { responded: true, how: frame.playerState, id: plane.id });
+    },
+
+    onDespawn(plane, world, reason) {
+      if (reason === 'offscreen' && !plane.responded) {
+        console.log('✈️ The airplane flew by');
+        world.emit('airplane', { responded: false, id: plane.id });
+      }
+    }
+  },
+
+  train: {
+    className: 'train-container',
+    template: `
+      <div class="train">
+        <div class="train-car car2">
+          <div class="car-body"></div>
+          <div class="car-wheels"><div class="wheel"></div><div class="wheel"></div></div>
+        </div>
+        <div class="train-car car1">
+          <div class="car-body"></div>
+          <div class="car-wheels"><div class="wheel"></div><div class="wheel"></div></div>
+        </div>
+        <div class="train-engine">
+          <div class="engine-body"></div>
+          <div class="engine-cabin"></div>
+          <div class="engine-chimney"></div>
+          <div class="engine-wheels">
+            <div class="wheel"></div>
+            <div class="wheel"></div>
+            <div class="wheel big"></div>
+          </div>
+        </div>
+      </div>
+    `,
+    layer: 'tracks',
+    width: 400, // Train is ~400px wide
+    length: 210, // ...of which the engine and cars take 210px
+    speed: 350, // pixels per second
+    flips: true,
+    hazard: true,
+    activeClass: 'moving',
+    // Goes left to right (max 1 at a time); a crossing may call one from either side
+    spawn: { pool: 'tracks', chance: 0.3, max: 1, side: 'left' },
+
+    onSpawn() {
+      console.log('🚂 Train coming through!');
+    }
+  },
+
+  crossing: {
+    className: 'crossing-container',
+    template: `
+      <div class="crossing">
+        <div class="crossing-tracks"></div>
+        <div class="crossing-post"></div>
+        <div class="crossing-lights">
+          <div class="crossing-light"></div>
+          <div class="crossing-light"></div>
+        </div>
+        <div class="crossing-arm"></div>
+      </div>
+    `,
+    layer: 'street',
+    width: 200,
+    speed: 0,
+    flips: true, // Faces the player, so the barrier arm comes down in front of them
+    hazard: true,
+    // The lowered arm (ignored while it's up); tall enough that it can't be jumped
+    hitbox: { offsetX: -10, width: 110, height: 120 },
+    spawn: { pool: 'tracks', chance: 0.3, max: 1, side: 'ahead' },
+    warnRange: 500,   // The barrier comes down once the player is this close (world px) and it's in view
+    trainDelay: 2500, // ...and the train arrives this long after (ms)
+    clearance: 80,    // The train has to be this far past before the barrier lifts
+
+    // Barrier 'up' → 'down' (the player must stop; a train is called and goes
+    // by) → 'up' again once it has passed
+    onSpawn(crossing) {
+      crossing.barrier = 'up';
+      crossing.done = false;   // A train has been and gone
+      crossing.closedAt = 0;
+      crossing.train = null;
+      crossing.waited = false; // Stood still while the barrier was down
+      crossing.failed = false; // Walked into the lowered barrier
+      crossing.holding = false; // Has stopped the player's current push into the barrier
+      console.log('🚦 Level crossing ahead');
+    },
+
+    onCollision(crossing, type, frame, world) {
+      if (type === 'exit') {
+        crossing.holding = false;
+        return;
+      }
+      if (crossing.barrier !== 'down' || crossing.holding) return;
+
+      // Only heading into the barrier counts, not backing away from it
+      const towards = (crossing.x - frame.playerX) * frame.playerDirection > 0;
+      if (!towards || frame.playerSpeed <= 0) return;
+
+      // The barrier holds the player back, once per push (walking into it, or
+      // setting off again while standing against it)
+      crossing.holding = true;
+      world.bus.publish({ command: 'stop', source: 'world', details: { quiet: true, stumble: true } });
+
+      if (!crossing.failed) {
+        crossing.failed = true;
+        console.log('🚦 Walked into the barrier! Wait for the train');
+        world.showFeedback(t('crossingFailed'), 'danger');
+        world.emit('crossing', { outcome: 'failed', id: crossing.id });
+      }
+    },
+
+    update(crossing, frame, world) {
+      const { def } = crossing;
+      // How far the player is from the barrier, on the side it faces
+      const distance = (frame.playerX - crossing.x) * crossing.direction;
+
+      if (crossing.barrier === 'up') {
+        const inView = crossing.screenX >= 0 && crossing.screenX <= window.innerWidth;
+        if (crossing.done || !inView || distance <= 0 || distance > def.warnRange) return;
+
+        crossing.barrier = 'down';
+        crossing.closedAt = frame.time;
+        crossing.element.classList.add('closed');
+        console.log('🚦 Barrier down - train coming! Stop!');
+        world.showFeedback(t('crossingWarning'), 'warning');
+        return;
+      }
+
+      // Standing still on the near side while the barrier is down is waiting
+      if (distance > 0 && frame.playerSpeed < 20) crossing.waited = true;
+      // Held back: setting off again is a new push
+      if (frame.playerSpeed <= 0) crossing.holding = false;
+
+      if (!crossing.train) {
+        if (frame.time - crossing.closedAt < def.trainDelay) return;
+
+        // From the far side, just off-screen (the crossing is in view, so it passes it)
+        const edge = -crossing.direction;
+        crossing.train = world.spawn('train', { side: edge > 0 ? 'right' : 'left', force: true });
+        if (crossing.train) return;
+        console.log('🚦 No train today'); // Trains are switched off
+      }
+
+      const { train } = crossing;
+      const passed = !train || !world.objects.includes(train) ||
+        (train.x + train.def.length / 2 - crossing.x) * train.direction > train.def.length / 2 + def.clearance;
+      if (!passed) return;
+
+      crossing.barrier = 'up';
+      crossing.done = true;
+      crossing.element.classList.remove('closed');
+      if (!crossing.failed && crossing.waited) {
+        console.log('✅ Waited for the train!');
+        world.showMessage(t('crossingWaited'), 2000);
+        world.emit('crossing', { outcome: 'waited', id: crossing.id });
+      } else if (!world.isTripped) {
+        world.hideFeedback();
+      }
+    },
+
+    onDespawn(crossing, world) {
+      // Left behind with the barrier down: take the warning away too
+      if (crossing.barrier === 'down' && !world.isTripped) world.hideFeedback();
+    }
+  },
+
+  // Coins lie on the street, stars and balloons need a jump
+  coin: collectible('coin', { emoji: '🪙', points: 5, height: 20, chance: 0.4 }),
+  star: collectible('star', { emoji: '⭐', points: 15, height: 260, chance: 0.3 }),
+  balloon: collectible('balloon', { emoji: '🎈', points: 10, height: 300, chance: 0.2 })
+};
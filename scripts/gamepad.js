@@ -0,0 +1,266 @@
+/**
+ * Gamepad Input Module
+ * Polls the Gamepad API and maps buttons and the left stick to commands
+ */
+
+const STORAGE_KEY = 'voiceGame.gamepad';
+
+// Standard-mapping button names, for the bindings table
+export const BUTTON_NAMES = {
+  0: 'A',
+  1: 'B',
+  2: 'X',
+  3: 'Y',
+  4: 'LB',
+  5: 'RB',
+  6: 'LT',
+  7: 'RT',
+  8: 'Back',
+  9: 'Start',
+  12: 'D-pad up',
+  13: 'D-pad down',
+  14: 'D-pad left',
+  15: 'D-pad right'
+};
+
+// Commands that change how the character moves (jump returns to the movement after)
+const MOVEMENT_COMMANDS = ['walk', 'run', 'stop', 'wave', 'dance', 'look'];
+
+const DEFAULT_BINDINGS = {
+  0: 'jump',
+  1: 'stop',
+  2: 'wave',
+  3: 'dance',
+  12: 'jump',
+  13: 'stop',
+  14: 'left',
+  15: 'right'
+};
+
+export class GamepadInput {
+  /**
+   * @param {object} options
+   * @param {Function} options.onCommand - Called with the command for a button/stick
+   * @param {Function} options.onConnectionChange - Called with the list of connected pads
+   */
+  constructor({ onCommand, onConnectionChange = () => {} }) {
+    this.onCommand = onCommand;
+    this.onConnectionChange = onConnectionChange;
+    this.isSupported = !!navigator.getGamepads;
+
+    // Button index → command
+    this.bindings = this.load();
+
+    // Left stick: how far to either side to walk, and to run
+    this.walkThreshold = 0.25;
+    this.runThreshold = 0.75;
+    // Leaving a zone takes this much less deflection than entering it, so a
+    // noisy stick resting near a threshold doesn't flicker in and out
+    this.hysteresis = 0.1;
+
+    this.buttonState = new Map(); // gamepad index → pressed flags from last poll
+    this.stickZone = new Map();   // gamepad index → 'rest' | 'right-walk' | 'left-run'...
+    this.stickMoving = null;      // Index of the pad whose stick started the current movement
+    this.pollFrame = null;
+
+    this.poll = this.poll.bind(this);
+
+    if (this.isSupported) {
+      window.addEventListener('gamepadconnected', (e) => this.handleConnect(e.gamepad));
+      window.addEventListener('gamepaddisconnected', (e) => this.handleDisconnect(e.gamepad));
+    }
+  }
+
+  /**
+   * Read saved bindings, or the defaults
+   */
+  load() {
+    try {
+      return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || { ...DEFAULT_BINDINGS };
+    } catch (e) {
+      return { ...DEFAULT_BINDINGS };
+    }
+  }
+
+  /**
+   * Save bindings
+   */
+  persist() {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(this.bindings));
+  }
+
+  /**
+   * Bind a button to a command (null to unbind)
+   */
+  setBinding(button, command) {
+    if (command) {
+      this.bindings[button] = command;
+    } else {
+      delete this.bindings[button];
+    }
+    this.persist();
+  }
+
+  /**
+   * Go back to the default bindings
+   */
+  resetBindings() {
+    this.bindings = { ...DEFAULT_BINDINGS };
+    this.persist();
+  }
+
+  /**
+   * Pads currently plugged in
+   */
+  getConnected() {
+    return this.isSupported ? Array.from(navigator.getGamepads()).filter(Boolean) : [];
+  }
+
+  /**
+   * A pad was plugged in (or first pressed - browsers hide pads until then)
+   */
+  handleConnect(gamepad) {
+    console.log(`🎮 Gamepad connected: ${gamepad.id}`);
+    // Buttons held while plugging in shouldn't fire
+    this.buttonState.set(gamepad.index, gamepad.buttons.map(button => button.pressed));
+    this.stickZone.set(gamepad.index, 'rest');
+
+    if (!this.pollFrame) {
+      this.pollFrame = requestAnimationFrame(this.poll);
+    }
+    this.onConnectionChange(this.getConnected());
+  }
+
+  /**
+   * A pad was unplugged
+   */
+  handleDisconnect(gamepad) {
+    console.log(`🎮 Gamepad disconnected: ${gamepad.id}`);
+    this.buttonState.delete(gamepad.index);
+    this.stickZone.delete(gamepad.index);
+    if (this.stickMoving === gamepad.index) this.stickMoving = null;
+
+    if (this.getConnected().length === 0 && this.pollFrame) {
+      cancelAnimationFrame(this.pollFrame);
+      this.pollFrame = null;
+    }
+    this.onConnectionChange(this.getConnected());
+  }
+
+  /**
+   * Which movement zone a stick deflection is in, e.g. 'left-run'
+   * @param {number} x - Horizontal deflection (-1..1)
+   * @param {string} previousZone - Zone at the last poll, which is easier to stay in
+   */
+  getStickZone(x, previousZone = 'rest') {
+    const side = x < 0 ? 'left' : 'right';
+    const amount = Math.abs(x);
+    const [previousSide, previousPace] = previousZone.split('-');
+    const sameSide = previousSide === side;
+    const runAt = this.runThreshold - (sameSide && previousPace === 'run' ? this.hysteresis : 0);
+    const walkAt = this.walkThreshold - (sameSide ? this.hysteresis : 0);
+    if (amount >= runAt) return `${side}-run`;
+    if (amount >= walkAt) return `${side}-walk`;
+    return 'rest';
+  }
+
+  /**
+   * Another input moved or stopped the character, so letting go of the stick
+   * must no longer stop it
+   * @param {string} command - Delivered command
+   * @param {string} source - Where it came from
+   */
+  handleCommand(command, source) {
+    if (source === 'gamepad' || source === 'world') return;
+    if (MOVEMENT_COMMANDS.includes(command)) this.stickMoving = null;
+  }
+
+  /**
+   * Read every pad and send commands for new presses and stick changes
+   */
+  poll() {
+    for (const gamepad of this.getConnected()) {
+      const previous = this.buttonState.get(gamepad.index) || [];
+      const current = gamepad.buttons.map(button => button.pressed);
+
+      current.forEach((pressed, button) => {
+        if (pressed && !previous[button] && this.bindings[button]) {
+          console.log(`🎮 Button ${BUTTON_NAMES[button] || button}: ${this.bindings[button]}`);
+          if (MOVEMENT_COMMANDS.includes(this.bindings[button])) this.stickMoving = null;
+          this.onCommand(this.bindings[button]);
+        }
+      });
+      this.buttonState.set(gamepad.index, current);
+
+      // Stick side picks facing, deflection picks walk vs run; letting go
+      // stops, unless another input has taken over the movement since
+      const previousZone = this.stickZone.get(gamepad.index) || 'rest';
+      const zone = this.getStickZone(gamepad.axes[0] || 0, previousZone);
+      if (zone !== previousZone) {
+        this.stickZone.set(gamepad.index, zone);
+        if (zone === 'rest') {
+          if (this.stickMoving === gamepad.index) this.onCommand('stop');
+          this.stickMoving = null;
+        } else {
+          const [side, pace] = zone.split('-');
+          if (!previousZone.startsWith(side)) {
+            this.onCommand(side);
+          }
+          this.onCommand(pace);
+          this.stickMoving = gamepad.index;
+        }
+      }
+    }
+
+    this.pollFrame = requestAnimationFrame(this.poll);
+  }
+}
+
+export class GamepadBindingsTable {
+  /**
+   * @param {object} options
+   * @param {HTMLElement} options.container - Element to render the table into
+   * @param {GamepadInput} options.gamepad - Bindings to edit
+   * @param {string[]} options.commands - Commands a button can send
+   */
+  constructor({ container, gamepad, commands }) {
+    this.container = container;
+    this.gamepad = gamepad;
+    this.commands = commands;
+
+    this.container.addEventListener('change', (e) => {
+      if (e.target.matches('select[data-button]')) {
+        this.gamepad.setBinding(e.target.dataset.button, e.target.value || null);
+      }
+    });
+
+    this.render();
+  }
+
+  /**
+   * One row per standard button, with a command picker
+   */
+  render() {
+    this.container.innerHTML = '';
+
+    for (const [button, name] of Object.entries(BUTTON_NAMES)) {
+      const row = document.createElement('label');
+      row.className = 'gamepad-binding';
+      row.textContent = name;
+
+      const select = document.createElement('select');
+      select.dataset.button = button;
+      select.innerHTML = '<option value="">—</option>';
+      for (const command of this.commands) {
+        const option = document.createElement('option');
+        option.value = command;
+        option.textContent = command;
+        option.selected = this.gamepad.bindings[button] === command;
+        select.appendChild(option);
+      }
+
+      row.appendChild(select);
+      this.container.appendChild(row);
+    }
+  }
+}
@@ -0,0 +1,132 @@
+/**
+ * Swipe Gestures Module
+ * On-screen swipes as commands, so tablets work without a microphone
+ */
+
+const STORAGE_KEY = 'voiceGame.gestures';
+
+export class SwipeGestures {
+  /**
+   * @param {object} options
+   * @param {HTMLElement} options.surface - Element that receives swipes (the scene)
+   * @param {Function} options.onCommand - Called with the command for a swipe
+   */
+  constructor({ surface, onCommand }) {
+    this.surface = surface;
+    this.onCommand = onCommand;
+
+    // Swipe recognition limits
+    this.minDistance = 50;    // px before a drag counts as a swipe
+    this.maxDuration = 800;   // ms; slower drags are ignored
+    this.runSpeed = 1.0;      // px/ms; faster sideways swipes mean run
+
+    // Which command each swipe direction sends
+    this.directions = {
+      up: 'jump',
+      down: 'stop',
+      left: 'left',
+      right: 'right'
+    };
+
+    this.start = null;
+    this.enabled = this.load();
+
+    this.handleDown = this.handleDown.bind(this);
+    this.handleUp = this.handleUp.bind(this);
+    this.handleCancel = this.handleCancel.bind(this);
+
+    this.surface.addEventListener('pointerdown', this.handleDown);
+    this.surface.addEventListener('pointerup', this.handleUp);
+    this.surface.addEventListener('pointercancel', this.handleCancel);
+    this.applyEnabled();
+  }
+
+  /**
+   * Read the saved on/off setting (on by default)
+   */
+  load() {
+    try {
+      const saved = window.localStorage.getItem(STORAGE_KEY);
+      return saved === null ? true : saved === 'true';
+    } catch (e) {
+      return true;
+    }
+  }
+
+  /**
+   * Switch swipe gestures on or off
+   */
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    window.localStorage.setItem(STORAGE_KEY, String(enabled));
+    this.applyEnabled();
+  }
+
+  /**
+   * Stop the browser from scrolling/zooming on swipes while gestures are on
+   */
+  applyEnabled() {
+    this.surface.classList.toggle('gestures-enabled', this.enabled);
+    this.start = null;
+  }
+
+  /**
+   * Remember where a swipe began
+   */
+  handleDown(e) {
+    if (!this.enabled || !e.isPrimary) return;
+    this.start = { x: e.clientX, y: e.clientY, time: performance.now() };
+  }
+
+  /**
+   * Forget an interrupted swipe
+   */
+  handleCancel() {
+    this.start = null;
+  }
+
+  /**
+   * Classify the finished swipe and send its command
+   */
+  handleUp(e) {
+    if (!this.enabled || !this.start || !e.isPrimary) return;
+
+    const command = this.classify(
+      e.clientX - this.start.x,
+      e.clientY - this.start.y,
+      performance.now() - this.start.time
+    );
+    this.start = null;
+
+    if (command) {
+      console.log(`👆 Swipe: ${command}`);
+      [].concat(command).forEach(c => this.onCommand(c));
+    }
+  }
+
+  /**
+   * Turn a drag into a command
+   * @param {number} dx - Horizontal distance (px, right is positive)
+   * @param {number} dy - Vertical distance (px, down is positive)
+   * @param {number} duration - Time taken (ms)
+   * @returns {string|string[]|null} Command (or commands in order), or null if not a swipe
+   */
+  classify(dx, dy, duration) {
+    const distance = Math.hypot(dx, dy);
+    if (distance < this.minDistance || duration > this.maxDuration) return null;
+
+    let direction;
+    if (Math.abs(dx) > Math.abs(dy)) {
+      direction = dx > 0 ? 'right' : 'left';
+    } else {
+      direction = dy > 0 ? 'down' : 'up';
+    }
+
+    // A quick sideways flick means face that way and run rather than walk
+    const sideways = direction === 'left' || direction === 'right';
+    if (sideways && distance / duration >= this.runSpeed) {
+      return [this.directions[direction], 'run'];
+    }
+    return this.directions[direction];
+  }
+}
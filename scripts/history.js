@@ -0,0 +1,202 @@
+/**
+ * Session History Panel
+ * Per-user table of past sessions for therapists (how much was said, how much
+ * of it was understood, and how the game went), with CSV / JSON export
+ */
+
+import { GUEST_USER, summarizeSession, historyToCSV, historyToJSON } from './sessions.js';
+
+/**
+ * Format a share as a whole percentage ('–' when there's nothing to share)
+ */
+function percent(value) {
+  return value === null ? '–' : `${Math.round(value * 100)}%`;
+}
+
+export class HistoryPanel {
+  /**
+   * @param {object} options
+   * @param {HTMLElement} options.panel - The #historyPanel element
+   * @param {SessionStore} options.store - Saved sessions
+   * @param {SessionRecorder} options.recorder - The session being played now
+   * @param {ProfileStore} options.profiles - Users to offer even before they have sessions
+   */
+  constructor({ panel, store, recorder, profiles }) {
+    this.panel = panel;
+    this.store = store;
+    this.recorder = recorder;
+    this.profiles = profiles;
+
+    this.userSelect = panel.querySelector('#historyUser');
+    this.sessionList = panel.querySelector('#historySessions');
+    this.status = panel.querySelector('#historyStatus');
+
+    this.bindEvents();
+  }
+
+  /**
+   * Wire up panel controls
+   */
+  bindEvents() {
+    this.panel.querySelector('[data-close]').addEventListener('click', () => this.close());
+    this.userSelect.addEventListener('change', () => this.renderSessions());
+    this.panel.querySelector('#historyExportCsv').addEventListener('click', () => this.export('csv'));
+    this.panel.querySelector('#historyExportJson').addEventListener('click', () => this.export('json'));
+  }
+
+  /**
+   * Show the panel, on the current user's history
+   */
+  open() {
+    this.panel.hidden = false;
+    this.render();
+  }
+
+  /**
+   * Hide the panel
+   */
+  close() {
+    this.panel.hidden = true;
+  }
+
+  /**
+   * Toggle panel visibility
+   */
+  toggle() {
+    if (this.panel.hidden) {
+      this.open();
+    } else {
+      this.close();
+    }
+  }
+
+  /**
+   * Update the status line
+   */
+  setStatus(message) {
+    this.status.textContent = message;
+  }
+
+  /**
+   * Fill the user list, then show the chosen user's sessions
+   */
+  async render() {
+    const selected = this.userSelect.value || this.recorder.session.user;
+    let users = [];
+    try {
+      users = await this.store.listUsers();
+    } catch (error) {
+      this.setStatus(error.message);
+    }
+
+    const names = new Set([...users, ...this.profiles.list(), this.recorder.session.user, GUEST_USER]);
+    this.userSelect.innerHTML = '';
+    for (const name of [...names].sort()) {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      this.userSelect.appendChild(option);
+    }
+    this.userSelect.value = selected;
+    await this.renderSessions();
+  }
+
+  /**
+   * Load a user's sessions with their events
+   * @returns {Promise<{session: object, events: object[]}[]>} Oldest first
+   */
+  async loadHistory(user) {
+    await this.recorder.saving; // Include what was just played
+    const sessions = await this.store.listSessions(user);
+    return Promise.all(sessions.map(async session => ({ session, events: await this.store.getEvents(session.id) })));
+  }
+
+  /**
+   * One row per session, newest first
+   */
+  async renderSessions() {
+    const user = this.userSelect.value;
+    this.sessionList.innerHTML = '';
+
+    let history;
+    try {
+      history = await this.loadHistory(user);
+    } catch (error) {
+      this.setStatus(error.message);
+      return;
+    }
+    if (history.length === 0) {
+      this.setStatus(`No sessions for ${user} yet.`);
+      return;
+    }
+    this.setStatus(`${history.length} session${history.length === 1 ? '' : 's'}`);
+
+    const table = document.createElement('table');
+    table.className = 'history-table';
+    table.innerHTML = `
+      <thead>
+        <tr>
+          <th>Date</th>
+          <th title="Minutes played">Min</th>
+          <th title="Utterances heard">Said</th>
+          <th title="Utterances understood as a command">Understood</th>
+          <th title="Average confidence of understood commands">Conf.</th>
+          <th title="Average time from speaking to the character moving">Latency</th>
+          <th title="Stones cleared">Jumps</th>
+          <th title="Trips over stones">Trips</th>
+          <th title="Times the dog caught the player">Caught</th>
+        </tr>
+      </thead>
+      <tbody></tbody>
+    `;
+    const body = table.querySelector('tbody');
+
+    for (const { session, events } of [...history].reverse()) {
+      const summary = summarizeSession(events);
+      const minutes = (new Date(session.endedAt) - new Date(session.startedAt)) / 60000;
+      const cells = [
+        new Date(session.startedAt).toLocaleString(),
+        Math.max(1, Math.round(minutes)),
+        summary.utterances,
+        `${summary.understood} (${percent(summary.understoodRate)})`,
+        summary.averageConfidence ?? '–',
+        summary.averageLatencyMs === null ? '–' : `${summary.averageLatencyMs} ms`,
+        summary.outcomes['stone:cleared'] || 0,
+        summary.outcomes['stone:tripped'] || 0,
+        summary.outcomes['dog:caught'] || 0
+      ];
+      const row = document.createElement('tr');
+      for (const value of cells) {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      }
+      body.appendChild(row);
+    }
+
+    this.sessionList.appendChild(table);
+  }
+
+  /**
+   * Download the selected user's history
+   * @param {string} format - 'csv' (one row per event) or 'json' (sessions with summaries)
+   */
+  async export(format) {
+    const user = this.userSelect.value;
+    try {
+      const history = await this.loadHistory(user);
+      const content = format === 'csv' ? historyToCSV(user, history) : historyToJSON(user, history);
+      const type = format === 'csv' ? 'text/csv' : 'application/json';
+
+      const blob = new Blob([content], { type });
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = `${user}.sessions.${format}`;
+      link.click();
+      URL.revokeObjectURL(link.href);
+      this.setStatus(`Exported ${history.length} session${history.length === 1 ? '' : 's'}.`);
+    } catch (error) {
+      this.setStatus(error.message);
+    }
+  }
+}
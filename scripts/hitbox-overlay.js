@@ -0,0 +1,61 @@
+/**
+ * Hitbox Overlay
+ * Debug drawing of world-space hitboxes on top of the scene, to check that
+ * collisions line up with the sprites. Off unless asked for (`?hitboxes` or
+ * `window.game.world.showHitboxes()`).
+ */
+
+export class HitboxOverlay {
+  /**
+   * @param {HTMLElement} scene - Element the boxes are drawn in
+   * @param {number} groundY - Screen pixels from the scene's bottom to the street
+   */
+  constructor(scene, groundY = 150) {
+    this.scene = scene;
+    this.groundY = groundY;
+    this.layer = document.createElement('div');
+    this.layer.className = 'hitbox-layer';
+    this.boxes = new Map(); // key -> element
+    this.scene.appendChild(this.layer);
+  }
+
+  /**
+   * Draw one frame of boxes; boxes not in the list are removed
+   * @param {{key: string, box: object, kind: string}[]} items - World boxes
+   * @param {number} cameraX - World X at the centre of the screen
+   */
+  draw(items, cameraX) {
+    const centre = window.innerWidth / 2;
+    const seen = new Set();
+
+    for (const { key, box, kind } of items) {
+      seen.add(key);
+      let element = this.boxes.get(key);
+      if (!element) {
+        element = document.createElement('div');
+        this.layer.appendChild(element);
+        this.boxes.set(key, element);
+      }
+      element.className = `hitbox ${kind}`;
+      element.style.left = `${box.left - cameraX + centre}px`;
+      element.style.bottom = `${this.groundY + box.bottom}px`;
+      element.style.width = `${box.right - box.left}px`;
+      element.style.height = `${box.top - box.bottom}px`;
+    }
+
+    for (const [key, element] of this.boxes) {
+      if (!seen.has(key)) {
+        element.remove();
+        this.boxes.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Take the overlay off the scene
+   */
+  destroy() {
+    this.layer.remove();
+    this.boxes.clear();
+  }
+}
@@ -0,0 +1,109 @@
+/**
+ * Levels Module
+ * Authored routes: a JSON list of events played instead of random spawning.
+ *
+ * {
+ *   "version": 1,
+ *   "name": "First Jumps",
+ *   "description": "...",
+ *   "random": false,            // also keep random spawning going (optional)
+ *   "events": [
+ *     { "x": 1200, "spawn": "stone" },        // stone placed 1200px from the start
+ *     { "time": 30, "spawn": "train" },       // train sent 30s after the start
+ *     { "x": 3000, "spawn": "dog" },          // dog starts chasing at 3000px
+ *     { "x": 0, "message": "Jump the stones!" }
+ *   ]
+ * }
+ *
+ * Distances are world pixels from where the player stood when the level
+ * started (positive = right; walking speed is 100px/s). Objects that stand
+ * still on the street are placed at `x` itself; moving ones enter from their
+ * usual side once the player reaches `x`.
+ */
+
+import firstJumps from '../levels/first-jumps.json';
+import sayHello from '../levels/say-hello.json';
+import runFromTheDog from '../levels/run-from-the-dog.json';
+
+const LEVEL_VERSION = 1;
+
+// Which edge a moving object may enter from (optional; defaults to its usual side)
+const SIDES = ['left', 'right'];
+
+// Built-in routes, by id
+export const LEVELS = {
+  'first-jumps': firstJumps,
+  'say-hello': sayHello,
+  'run-from-the-dog': runFromTheDog
+};
+
+/**
+ * Check a level and return a clean copy
+ * @param {object} data - Parsed level JSON
+ * @param {string[]} typeNames - Entity types that may be spawned
+ * @throws {Error} Describing the first problem found
+ */
+export function validateLevel(data, typeNames) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Level must be a JSON object');
+  }
+  if (typeof data.name !== 'string' || data.name.trim() === '') {
+    throw new Error('Level needs a name');
+  }
+  if (data.version !== LEVEL_VERSION) {
+    throw new Error(`Unsupported level version: ${data.version}`);
+  }
+  if (!Array.isArray(data.events)) {
+    throw new Error('Level needs an "events" list');
+  }
+
+  const events = data.events.map((event, index) => {
+    const label = `Event ${index + 1}`;
+    const hasX = typeof event.x === 'number';
+    const hasTime = typeof event.time === 'number';
+    if (hasX === hasTime) {
+      throw new Error(`${label} needs either "x" or "time"`);
+    }
+    if (hasTime && event.time < 0) {
+      throw new Error(`${label}: "time" can't be negative`);
+    }
+    if (event.spawn === undefined && event.message === undefined) {
+      throw new Error(`${label} needs "spawn" or "message"`);
+    }
+    if (event.spawn !== undefined && !typeNames.includes(event.spawn)) {
+      throw new Error(`${label}: unknown object "${event.spawn}"`);
+    }
+    if (event.side !== undefined && !SIDES.includes(event.side)) {
+      throw new Error(`${label}: "side" must be "left" or "right"`);
+    }
+    return {
+      x: hasX ? event.x : undefined,
+      time: hasTime ? event.time : undefined,
+      spawn: event.spawn,
+      side: event.side,
+      message: event.message !== undefined ? String(event.message) : undefined
+    };
+  });
+
+  return {
+    version: LEVEL_VERSION,
+    name: data.name.trim(),
+    description: data.description || '',
+    random: data.random === true,
+    events
+  };
+}
+
+/**
+ * Parse a level file's text
+ * @throws {Error} If it isn't valid JSON or not a valid level
+ */
+export function parseLevel(json, typeNames) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (e) {
+    throw new Error('Level file is not valid JSON');
+  }
+  return validateLevel(data, typeNames);
+}
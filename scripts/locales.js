@@ -0,0 +1,417 @@
+/**
+ * Locales Module
+ * Vocabulary packs and UI text per language, plus the active-locale state
+ */
+
+const STORAGE_KEY = 'voiceGame.locale';
+const DEFAULT_LOCALE = 'en';
+
+/**
+ * Each pack maps spoken words to canonical commands and holds on-screen text.
+ * `sizes` are words that change a command's size ("small jump", "big jump").
+ * Messages may contain {placeholders} filled in by t().
+ */
+export const locales = {
+  en: {
+    name: 'English',
+    lang: 'en-US',
+    commands: {
+      walk: ['walk', 'walking', 'stroll'],
+      run: ['run', 'running', 'sprint', 'fast'],
+      stop: ['stop', 'halt', 'freeze', 'stand'],
+      jump: ['jump', 'jumping', 'hop', 'leap'],
+      wave: ['wave', 'waving', 'hello', 'hi', 'bye'],
+      dance: ['dance', 'dancing', 'party', 'groove'],
+      look: ['look', 'up', 'sky', 'plane', 'airplane'],
+      turn: ['turn', 'back', 'around', 'behind'],
+      left: ['left'],
+      right: ['right'],
+      faster: ['faster', 'quicker', 'speed'],
+      slower: ['slower', 'slow', 'gently'],
+      pause: ['pause', 'rest', 'break'],
+      resume: ['play', 'continue', 'resume', 'unpause']
+    },
+    sizes: {
+      small: ['small', 'little', 'tiny'],
+      big: ['big', 'high', 'huge', 'giant']
+    },
+    labels: {
+      walk: 'walk',
+      run: 'run',
+      stop: 'stop',
+      jump: 'jump',
+      wave: 'hi / bye',
+      dance: 'dance',
+      look: 'look up',
+      turn: 'turn / back',
+      left: 'left',
+      right: 'right',
+      faster: 'faster',
+      slower: 'slower',
+      pause: 'pause / rest',
+      resume: 'play'
+    },
+    messages: {
+      title: 'Voice Commands',
+      sayCommand: 'Say a command...',
+      didYouMean: 'Did you mean {command}?',
+      listening: 'Listening...',
+      clickToStart: 'Click to Start',
+      notSupported: 'Not Supported',
+      error: 'Error',
+      stoneAhead: 'Stone ahead! {jump}!',
+      tripped: 'OUCH! Tripped!',
+      dogCaught: 'Dog caught you! Say "{run}"!',
+      levelComplete: 'Route finished! 🎉',
+      greetingBubble: 'Hi! 👋',
+      greetingReturned: 'They waved back! 😊',
+      dogFriend: 'Good dog! 🐶',
+      calmOn: 'Calm mode 🌙',
+      calmOff: 'Calm mode off',
+      crossingWarning: 'Train coming! {stop}!',
+      crossingFailed: 'Wait at the barrier! {stop}!',
+      crossingWaited: 'Well waited! 🚂',
+      airplaneHere: 'An airplane! {look}!',
+      airplaneWaved: 'The pilot waved back! ✈️',
+      milestone: '{score} points! 🎉'
+    }
+  },
+
+  es: {
+    name: 'Español',
+    lang: 'es-ES',
+    commands: {
+      walk: ['camina', 'caminar', 'anda', 'andar'],
+      run: ['corre', 'correr', 'rápido', 'rapido'],
+      stop: ['para', 'parar', 'alto', 'quieto'],
+      jump: ['salta', 'saltar', 'brinca', 'brincar'],
+      wave: ['hola', 'adiós', 'adios', 'chao', 'saluda'],
+      dance: ['baila', 'bailar', 'fiesta'],
+      look: ['mira', 'mirar', 'arriba', 'cielo', 'avión', 'avion'],
+      turn: ['gira', 'girar', 'vuelta', 'atrás', 'atras'],
+      left: ['izquierda'],
+      right: ['derecha'],
+      faster: ['acelera', 'acelerar', 'deprisa'],
+      slower: ['despacio', 'lento', 'frena'],
+      pause: ['pausa', 'descansa', 'descansar'],
+      resume: ['sigue', 'seguir', 'continúa', 'continua', 'juega']
+    },
+    sizes: {
+      small: ['pequeño', 'pequeno', 'pequeñito', 'chiquito'],
+      big: ['grande', 'alto', 'enorme']
+    },
+    labels: {
+      walk: 'camina',
+      run: 'corre',
+      stop: 'para',
+      jump: 'salta',
+      wave: 'hola / adiós',
+      dance: 'baila',
+      look: 'mira arriba',
+      turn: 'gira',
+      left: 'izquierda',
+      right: 'derecha',
+      faster: 'acelera',
+      slower: 'despacio',
+      pause: 'pausa',
+      resume: 'sigue'
+    },
+    messages: {
+      title: 'Comandos de voz',
+      sayCommand: 'Di un comando...',
+      didYouMean: '¿Quisiste decir {command}?',
+      listening: 'Escuchando...',
+      clickToStart: 'Haz clic para empezar',
+      notSupported: 'No compatible',
+      error: 'Error',
+      stoneAhead: '¡Una piedra! ¡{jump}!',
+      tripped: '¡AY! ¡Tropezaste!',
+      dogCaught: '¡El perro te alcanzó! ¡Di "{run}"!',
+      levelComplete: '¡Ruta terminada! 🎉',
+      greetingBubble: '¡Hola! 👋',
+      greetingReturned: '¡Te devolvieron el saludo! 😊',
+      dogFriend: '¡Buen perro! 🐶',
+      calmOn: 'Modo tranquilo 🌙',
+      calmOff: 'Modo tranquilo desactivado',
+      crossingWarning: '¡Viene un tren! ¡{stop}!',
+      crossingFailed: '¡Espera en la barrera! ¡{stop}!',
+      crossingWaited: '¡Bien esperado! 🚂',
+      airplaneHere: '¡Un avión! ¡{look}!',
+      airplaneWaved: '¡El piloto te saludó! ✈️',
+      milestone: '¡{score} puntos! 🎉'
+    }
+  },
+
+  de: {
+    name: 'Deutsch',
+    lang: 'de-DE',
+    commands: {
+      walk: ['geh', 'gehen', 'spazieren'],
+      run: ['renn', 'rennen', 'lauf', 'laufen', 'schnell'],
+      stop: ['stopp', 'stop', 'halt', 'anhalten'],
+      jump: ['spring', 'springen', 'hüpf', 'hüpfen'],
+      wave: ['hallo', 'tschüss', 'tschüs', 'winken', 'wink'],
+      dance: ['tanz', 'tanzen', 'party'],
+      look: ['schau', 'schauen', 'guck', 'oben', 'flugzeug'],
+      turn: ['dreh', 'drehen', 'umdrehen', 'zurück', 'zuruck'],
+      left: ['links'],
+      right: ['rechts'],
+      faster: ['schneller'],
+      slower: ['langsamer', 'langsam'],
+      pause: ['pause', 'pausieren', 'ausruhen', 'ruhe'],
+      resume: ['weiter', 'weitermachen', 'spielen']
+    },
+    sizes: {
+      small: ['klein', 'kleiner', 'kleinen'],
+      big: ['groß', 'gross', 'großer', 'hoch', 'riesig']
+    },
+    labels: {
+      walk: 'geh',
+      run: 'renn',
+      stop: 'stopp',
+      jump: 'spring',
+      wave: 'hallo / tschüss',
+      dance: 'tanz',
+      look: 'schau',
+      turn: 'dreh dich',
+      left: 'links',
+      right: 'rechts',
+      faster: 'schneller',
+      slower: 'langsamer',
+      pause: 'pause',
+      resume: 'weiter'
+    },
+    messages: {
+      title: 'Sprachbefehle',
+      sayCommand: 'Sag einen Befehl...',
+      didYouMean: 'Meintest du {command}?',
+      listening: 'Ich höre zu...',
+      clickToStart: 'Klicken zum Starten',
+      notSupported: 'Nicht unterstützt',
+      error: 'Fehler',
+      stoneAhead: 'Stein voraus! {jump}!',
+      tripped: 'AUA! Gestolpert!',
+      dogCaught: 'Der Hund hat dich! Sag "{run}"!',
+      levelComplete: 'Strecke geschafft! 🎉',
+      greetingBubble: 'Hallo! 👋',
+      greetingReturned: 'Zurückgewinkt! 😊',
+      dogFriend: 'Braver Hund! 🐶',
+      calmOn: 'Ruhemodus 🌙',
+      calmOff: 'Ruhemodus aus',
+      crossingWarning: 'Ein Zug kommt! {stop}!',
+      crossingFailed: 'Warte an der Schranke! {stop}!',
+      crossingWaited: 'Gut gewartet! 🚂',
+      airplaneHere: 'Ein Flugzeug! {look}!',
+      airplaneWaved: 'Der Pilot winkt zurück! ✈️',
+      milestone: '{score} Punkte! 🎉'
+    }
+  },
+
+  fr: {
+    name: 'Français',
+    lang: 'fr-FR',
+    commands: {
+      walk: ['marche', 'marcher'],
+      run: ['cours', 'courir', 'vite'],
+      stop: ['stop', 'arrête', 'arrete', 'arrêter'],
+      jump: ['saute', 'sauter', 'hop'],
+      wave: ['salut', 'bonjour', 'coucou', 'revoir'],
+      dance: ['danse', 'danser', 'fête', 'fete'],
+      look: ['regarde', 'regarder', 'ciel', 'avion'],
+      turn: ['tourne', 'tourner', 'retourne', 'retour'],
+      left: ['gauche'],
+      right: ['droite'],
+      faster: ['accélère', 'accelere', 'accélérer'],
+      slower: ['ralentis', 'ralentir', 'doucement', 'lentement'],
+      pause: ['pause', 'repos', 'repose'],
+      resume: ['continue', 'continuer', 'reprends', 'joue']
+    },
+    sizes: {
+      small: ['petit', 'petite'],
+      big: ['grand', 'gros', 'haut', 'énorme']
+    },
+    labels: {
+      walk: 'marche',
+      run: 'cours',
+      stop: 'stop',
+      jump: 'saute',
+      wave: 'salut / au revoir',
+      dance: 'danse',
+      look: 'regarde',
+      turn: 'tourne',
+      left: 'gauche',
+      right: 'droite',
+      faster: 'accélère',
+      slower: 'ralentis',
+      pause: 'pause',
+      resume: 'continue'
+    },
+    messages: {
+      title: 'Commandes vocales',
+      sayCommand: 'Dis une commande...',
+      didYouMean: 'Tu voulais dire {command} ?',
+      listening: "J'écoute...",
+      clickToStart: 'Clique pour commencer',
+      notSupported: 'Non pris en charge',
+      error: 'Erreur',
+      stoneAhead: 'Une pierre ! {jump} !',
+      tripped: 'AÏE ! Tu as trébuché !',
+      dogCaught: 'Le chien t\'a attrapé ! Dis « {run} » !',
+      levelComplete: 'Parcours terminé ! 🎉',
+      greetingBubble: 'Salut ! 👋',
+      greetingReturned: 'On te fait coucou ! 😊',
+      dogFriend: 'Gentil chien ! 🐶',
+      calmOn: 'Mode calme 🌙',
+      calmOff: 'Mode calme désactivé',
+      crossingWarning: 'Un train arrive ! {stop} !',
+      crossingFailed: 'Attends à la barrière ! {stop} !',
+      crossingWaited: 'Bien attendu ! 🚂',
+      airplaneHere: 'Un avion ! {look} !',
+      airplaneWaved: 'Le pilote te fait coucou ! ✈️',
+      milestone: '{score} points ! 🎉'
+    }
+  },
+
+  nl: {
+    name: 'Nederlands',
+    lang: 'nl-NL',
+    commands: {
+      walk: ['loop', 'lopen', 'wandel', 'wandelen'],
+      run: ['ren', 'rennen', 'snel', 'hard'],
+      stop: ['stop', 'stoppen', 'halt', 'sta'],
+      jump: ['spring', 'springen', 'hup'],
+      wave: ['hoi', 'hallo', 'doei', 'dag', 'zwaai'],
+      dance: ['dans', 'dansen', 'feest'],
+      look: ['kijk', 'kijken', 'omhoog', 'lucht', 'vliegtuig'],
+      turn: ['draai', 'draaien', 'omdraaien', 'terug'],
+      left: ['links'],
+      right: ['rechts'],
+      faster: ['sneller'],
+      slower: ['langzamer', 'langzaam', 'rustig'],
+      pause: ['pauze', 'rust', 'rusten'],
+      resume: ['verder', 'doorgaan', 'spelen']
+    },
+    sizes: {
+      small: ['klein', 'kleine'],
+      big: ['groot', 'grote', 'hoog', 'hoge']
+    },
+    labels: {
+      walk: 'loop',
+      run: 'ren',
+      stop: 'stop',
+      jump: 'spring',
+      wave: 'hoi / doei',
+      dance: 'dans',
+      look: 'kijk omhoog',
+      turn: 'draai',
+      left: 'links',
+      right: 'rechts',
+      faster: 'sneller',
+      slower: 'langzamer',
+      pause: 'pauze',
+      resume: 'verder'
+    },
+    messages: {
+      title: 'Spraakopdrachten',
+      sayCommand: 'Zeg een opdracht...',
+      didYouMean: 'Bedoelde je {command}?',
+      listening: 'Aan het luisteren...',
+      clickToStart: 'Klik om te starten',
+      notSupported: 'Niet ondersteund',
+      error: 'Fout',
+      stoneAhead: 'Een steen! {jump}!',
+      tripped: 'AU! Gestruikeld!',
+      dogCaught: 'De hond heeft je! Zeg "{run}"!',
+      levelComplete: 'Route klaar! 🎉',
+      greetingBubble: 'Hoi! 👋',
+      greetingReturned: 'Er werd teruggezwaaid! 😊',
+      dogFriend: 'Brave hond! 🐶',
+      calmOn: 'Rustige modus 🌙',
+      calmOff: 'Rustige modus uit',
+      crossingWarning: 'Er komt een trein! {stop}!',
+      crossingFailed: 'Wacht bij de slagboom! {stop}!',
+      crossingWaited: 'Goed gewacht! 🚂',
+      airplaneHere: 'Een vliegtuig! {look}!',
+      airplaneWaved: 'De piloot zwaait terug! ✈️',
+      milestone: '{score} punten! 🎉'
+    }
+  }
+};
+
+// Active locale code and change listeners
+let current = readSavedLocale();
+const listeners = [];
+
+/**
+ * Locale saved from a previous visit, or the default
+ */
+function readSavedLocale() {
+  try {
+    const saved = window.localStorage.getItem(STORAGE_KEY);
+    return locales[saved] ? saved : DEFAULT_LOCALE;
+  } catch (e) {
+    return DEFAULT_LOCALE;
+  }
+}
+
+/**
+ * Code of the active locale (e.g. 'en')
+ */
+export function getLocaleCode() {
+  return current;
+}
+
+/**
+ * The active locale pack
+ */
+export function getLocale() {
+  return locales[current];
+}
+
+/**
+ * Switch language, remember it, and notify listeners
+ */
+export function setLocale(code) {
+  if (!locales[code]) {
+    console.warn(`Unknown locale: ${code}`);
+    return false;
+  }
+
+  current = code;
+  try {
+    window.localStorage.setItem(STORAGE_KEY, code);
+  } catch (e) {
+    // Storage unavailable (private mode) - the choice just won't persist
+  }
+
+  console.log(`🌍 Language: ${locales[code].name}`);
+  listeners.forEach(listener => listener(locales[code], code));
+  return true;
+}
+
+/**
+ * Call a function whenever the language changes
+ */
+export function onLocaleChange(listener) {
+  listeners.push(listener);
+}
+
+/**
+ * On-screen label for a command in the active language
+ */
+export function commandLabel(command) {
+  return getLocale().labels[command] || command;
+}
+
+/**
+ * Translate a message key, filling {placeholders}
+ * {jump}, {run}... default to the upper-cased command label
+ */
+export function t(key, params = {}) {
+  const template = getLocale().messages[key] || locales[DEFAULT_LOCALE].messages[key] || key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => {
+    if (params[name] !== undefined) return params[name];
+    if (getLocale().labels[name]) return commandLabel(name).toUpperCase();
+    return match;
+  });
+}
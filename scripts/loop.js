@@ -0,0 +1,148 @@
+/**
+ * Game Loop
+ * One requestAnimationFrame loop for the whole game. The simulation advances
+ * in fixed steps (so a slow or backgrounded tab can't teleport anything),
+ * and rendering interpolates between the last two steps.
+ *
+ * Systems are objects with:
+ * - simulate(dt, time): advance by dt seconds; time is the simulation clock (ms)
+ * - render(alpha): draw, blending the previous and current step by alpha (0..1)
+ */
+
+export class GameLoop {
+  /**
+   * @param {object} options
+   * @param {number} options.step - Simulation step in ms (60 steps a second by default)
+   * @param {number} options.maxSteps - Most steps to catch up per frame; longer gaps are dropped
+   */
+  constructor({ step = 1000 / 60, maxSteps = 5 } = {}) {
+    this.step = step;
+    this.maxSteps = maxSteps;
+    this.systems = [];
+
+    this.time = 0;          // Simulation clock (ms), only advances while running
+    this.accumulator = 0;   // Real time not yet simulated
+    this.lastFrame = null;
+    this.frame = null;
+    this.paused = false;
+    this.timeScale = 1;     // Game speed: 0.5 runs the simulation at half speed
+
+    this.tick = this.tick.bind(this);
+  }
+
+  /**
+   * Add a system; systems simulate and render in the order they were added
+   */
+  add(system) {
+    this.systems.push(system);
+    return system;
+  }
+
+  /**
+   * Start the animation frame loop
+   */
+  start() {
+    if (this.frame) return;
+    this.lastFrame = null;
+    this.frame = requestAnimationFrame(this.tick);
+  }
+
+  /**
+   * Stop the animation frame loop (the simulation can still be advanced by hand)
+   */
+  stop() {
+    if (!this.frame) return;
+    cancelAnimationFrame(this.frame);
+    this.frame = null;
+  }
+
+  /**
+   * Freeze the simulation; rendering carries on so the scene stays drawn
+   */
+  pause() {
+    if (this.paused) return;
+    this.paused = true;
+    console.log('⏸️ Simulation paused');
+  }
+
+  /**
+   * Carry on from where the simulation was paused
+   */
+  resume() {
+    if (!this.paused) return;
+    this.paused = false;
+    // Time spent paused is not caught up
+    this.accumulator = 0;
+    this.lastFrame = null;
+    console.log('▶️ Simulation resumed');
+  }
+
+  /**
+   * Advance exactly one simulation step per count, then draw (works while paused)
+   */
+  stepOnce(count = 1) {
+    for (let i = 0; i < count; i++) {
+      this.simulate();
+    }
+    this.render(1);
+    return this.time;
+  }
+
+  /**
+   * Run the simulation for a stretch of game time as fast as possible,
+   * without drawing in between (for tests and replays)
+   * @param {number} ms - Game time to simulate
+   * @param {object} options
+   * @param {boolean} options.render - Draw the final state afterwards
+   * @returns {number} Simulation clock afterwards (ms)
+   */
+  advance(ms, { render = true } = {}) {
+    const steps = Math.round(ms / this.step);
+    for (let i = 0; i < steps; i++) {
+      this.simulate();
+    }
+    if (render) this.render(1);
+    return this.time;
+  }
+
+  /**
+   * One fixed step for every system
+   */
+  simulate() {
+    this.time += this.step;
+    const dt = this.step / 1000;
+    for (const system of this.systems) {
+      if (system.simulate) system.simulate(dt, this.time);
+    }
+  }
+
+  /**
+   * Draw every system
+   */
+  render(alpha) {
+    for (const system of this.systems) {
+      if (system.render) system.render(alpha);
+    }
+  }
+
+  /**
+   * Animation frame: catch up on whole steps, then draw in between them
+   */
+  tick(timestamp) {
+    if (this.lastFrame === null) this.lastFrame = timestamp;
+    const elapsed = timestamp - this.lastFrame;
+    this.lastFrame = timestamp;
+
+    if (!this.paused) {
+      // Clamp so a backgrounded tab doesn't replay minutes of simulation
+      this.accumulator = Math.min(this.accumulator + elapsed * this.timeScale, this.step * this.maxSteps);
+      while (this.accumulator >= this.step) {
+        this.simulate();
+        this.accumulator -= this.step;
+      }
+    }
+
+    this.render(this.paused ? 1 : this.accumulator / this.step);
+    this.frame = requestAnimationFrame(this.tick);
+  }
+}
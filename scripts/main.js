@@ -4,8 +4,25 @@
  */
 
 import { SpeechRecognition } from './speech.js';
+import { VocalizationRecognition, synthesizeSound } from './vocalization.js';
+import { ProfileStore } from './profiles.js';
+import { CalibrationWizard } from './calibration.js';
+import { VocabularyPanel } from './vocabulary.js';
+import { CommandRegistry } from './commands.js';
+import { CommandBus } from './bus.js';
+import { SwitchScanner, ScanningPanel } from './scanning.js';
+import { SwipeGestures } from './gestures.js';
+import { GamepadInput, GamepadBindingsTable } from './gamepad.js';
+import { locales, getLocale, getLocaleCode, setLocale, onLocaleChange, commandLabel, t } from './locales.js';
 import { Character } from './character.js';
 import { WorldObjects } from './world.js';
+import { SeededRandom } from './random.js';
+import { GameLoop } from './loop.js';
+import { LEVELS, parseLevel } from './levels.js';
+import { SensorySettings, SettingsPanel, FEEDBACK_TONES, HAZARD_TYPES } from './settings.js';
+import { Rewards } from './rewards.js';
+import { SessionStore, SessionRecorder } from './sessions.js';
+import { HistoryPanel } from './history.js';
 
 // DOM Elements
 const micStatus = document.getElementById('micStatus');
@@ -13,17 +30,138 @@ const micIcon = document.getElementById('micIcon');
 const micText = document.getElementById('micText');
 const commandFeedback = document.getElementById('commandFeedback');
 const feedbackText = document.getElementById('feedbackText');
-const commandItems = document.querySelectorAll('.command-item');
+const commandHelpTitle = document.getElementById('commandHelpTitle');
+const commandsGrid = document.getElementById('commandsGrid');
+const languageSelect = document.getElementById('languageSelect');
+const levelSelect = document.getElementById('levelSelect');
+const levelFile = document.getElementById('levelFile');
+const pauseButton = document.getElementById('pauseButton');
+const scoreCounter = document.getElementById('scoreCounter');
+const calmButton = document.getElementById('calmButton');
+const settingsButton = document.getElementById('settingsButton');
+const settingsPanel = document.getElementById('settingsPanel');
+const scanningButton = document.getElementById('scanningButton');
+const scanningPanel = document.getElementById('scanningPanel');
+const swipeEnabled = document.getElementById('swipeEnabled');
+const gamepadStatus = document.getElementById('gamepadStatus');
+const gamepadBindings = document.getElementById('gamepadBindings');
+const gamepadReset = document.getElementById('gamepadReset');
+const vocabularyButton = document.getElementById('vocabularyButton');
+const vocabularyPanel = document.getElementById('vocabularyPanel');
+const calibrationButton = document.getElementById('calibrationButton');
+const calibrationPanel = document.getElementById('calibrationPanel');
+const historyButton = document.getElementById('historyButton');
+const historyPanel = document.getElementById('historyPanel');
+
+// Command registry shared by recognizers, UI and character
+const registry = new CommandRegistry();
+
+// Every input publishes here; character, feedback and sound subscribe
+const bus = new CommandBus({ registry });
 
 // Initialize character
-const character = new Character('character');
+const character = new Character('character', registry);
+
+// Initialize world objects (NPCs, obstacles); ?seed=123 replays the same walk
+const seedParam = new URLSearchParams(window.location.search).get('seed');
+const random = seedParam ? new SeededRandom(seedParam) : new SeededRandom();
+const world = new WorldObjects(character, bus, { random });
+console.log(`🎲 World seed: ${random.seed} (replay with ?seed=${random.seed})`);
+
+// ?hitboxes draws the collision boxes over the sprites
+if (new URLSearchParams(window.location.search).has('hitboxes')) {
+  world.showHitboxes(true);
+}
+
+// One fixed-step loop drives the character, then the world that reacts to it
+const loop = new GameLoop();
+loop.add(character);
+loop.add(world);
+loop.start();
+
+// Caregiver sensory settings (speed, hazards, sound, warning colours, motion)
+const settings = new SensorySettings();
+
+/**
+ * Apply the sensory settings to the game
+ */
+function applySettings() {
+  loop.timeScale = settings.get('gameSpeed');
+  world.hazardFrequency = settings.get('hazardFrequency');
+  world.setFriendly('dog', settings.get('friendlyDog'));
+  for (const [hazard, enabled] of Object.entries(settings.get('hazards'))) {
+    for (const type of HAZARD_TYPES[hazard] || [hazard]) {
+      world.setTypeEnabled(type, enabled);
+    }
+  }
 
-// Initialize world objects (NPCs, obstacles)
-const world = new WorldObjects(character);
+  const reduceMotion = settings.reducesMotion();
+  character.parallax = reduceMotion ? 0 : 0.2;
+  document.body.classList.toggle('reduced-motion', reduceMotion);
+
+  const root = document.documentElement.style;
+  root.setProperty('--game-speed', settings.get('gameSpeed'));
+  root.setProperty('--warning-intensity', settings.get('warningIntensity'));
+}
+
+settings.onChange(applySettings);
+applySettings();
+
+// A pedestrian or the pilot waving back, or waiting well at a crossing,
+// is worth a cheerful tone
+world.on('greeting', ({ returned }) => {
+  if (returned) playFeedbackSound('greeting');
+});
+world.on('airplane', ({ responded }) => {
+  if (responded) playFeedbackSound('greeting');
+});
+world.on('crossing', ({ outcome }) => {
+  if (outcome === 'waited') playFeedbackSound('greeting');
+});
+world.on('collect', () => playFeedbackSound('collect'));
+
+// Score for outcomes and pick-ups, with a celebration at each milestone
+const rewards = new Rewards({
+  world,
+  counter: scoreCounter,
+  onMilestone: () => playFeedbackSound('milestone')
+});
 
 // Feedback display timeout
 let feedbackTimeout = null;
 
+/**
+ * Render the command help grid and static text in the active language
+ */
+function renderCommandHelp() {
+  const locale = getLocale();
+  
+  commandHelpTitle.textContent = t('title');
+  commandsGrid.innerHTML = '';
+  
+  for (const command of registry.listEnabled()) {
+    const item = document.createElement('button');
+    item.type = 'button';
+    item.className = 'command-item';
+    item.dataset.command = command;
+    item.innerHTML = `
+      <span class="command-emoji">${registry.get(command).emoji}</span>
+      <span class="command-word"></span>
+    `;
+    item.querySelector('.command-word').textContent = commandLabel(command);
+    commandsGrid.appendChild(item);
+  }
+  
+  if (!commandFeedback.classList.contains('visible')) {
+    feedbackText.textContent = t('sayCommand');
+  }
+  document.documentElement.lang = locale.lang.split('-')[0];
+}
+
+// Recent speech-to-character latencies, for the debug hook
+const latencyLog = [];
+const LATENCY_LOG_SIZE = 50;
+
 /**
  * Show command feedback
  */
@@ -34,17 +172,13 @@ function showFeedback(command) {
   }
   
   // Update feedback text
-  feedbackText.textContent = command.toUpperCase();
+  feedbackText.textContent = commandLabel(command).toUpperCase();
+  commandFeedback.classList.remove('suggestion');
   commandFeedback.classList.add('visible');
   
   // Highlight the matching command item
-  commandItems.forEach(item => {
-    const word = item.querySelector('.command-word').textContent;
-    if (word === command) {
-      item.classList.add('active');
-    } else {
-      item.classList.remove('active');
-    }
+  commandsGrid.querySelectorAll('.command-item').forEach(item => {
+    item.classList.toggle('active', item.dataset.command === command);
   });
   
   // Hide feedback after delay
@@ -54,25 +188,111 @@ function showFeedback(command) {
 }
 
 /**
- * Handle recognized voice command
+ * Show a "did you mean" hint for a command heard without enough confidence
  */
-function handleCommand(command) {
-  console.log('🎮 Processing command:', command);
-  
-  // Show visual feedback
-  showFeedback(command);
+function showSuggestion(match) {
+  if (feedbackTimeout) {
+    clearTimeout(feedbackTimeout);
+  }
   
-  // Update character state
-  character.processCommand(command);
+  feedbackText.textContent = t('didYouMean', { command: commandLabel(match.command).toUpperCase() });
+  commandFeedback.classList.add('visible', 'suggestion');
   
-  // Play audio feedback (optional - subtle sound)
+  feedbackTimeout = setTimeout(() => {
+    commandFeedback.classList.remove('visible', 'suggestion');
+  }, 2000);
+}
+
+/**
+ * Publish a command from an input source
+ * @param {string} command - Command name or alias
+ * @param {string} source - Input source ('voice', 'sound', 'touch', 'switch', 'gamepad', 'script')
+ * @param {object} details - Optional source details (confidence, transcript, timings...)
+ * @returns {string} What the bus did with it
+ */
+function sendCommand(command, source, details = {}) {
+  return bus.publish({ command, source, confidence: details.confidence ?? 1, details });
+}
+
+// Resting: the simulation, spawn timers and every CSS animation hold still
+let paused = false;
+
+/**
+ * Pause or resume the whole game
+ */
+function setPaused(value) {
+  if (value === paused) return;
+  paused = value;
+
+  if (paused) {
+    loop.pause();
+    // Only pause/resume get through until the game carries on
+    bus.block('pause', { allow: ['pause', 'resume'] });
+  } else {
+    bus.unblock('pause');
+    loop.resume();
+  }
+
+  document.querySelector('.scene').classList.toggle('paused', paused);
+  pauseButton.textContent = paused ? '▶️' : '⏸️';
+  pauseButton.title = paused ? 'Play' : 'Pause';
+  pauseButton.setAttribute('aria-pressed', String(paused));
+}
+
+/**
+ * Caregiver calm mode: dimmed scene, no hazards
+ */
+function setCalm(calm) {
+  world.setCalm(calm);
+  calmButton.setAttribute('aria-pressed', String(calm));
+  world.showMessage(t(calm ? 'calmOn' : 'calmOff'), 2000);
+}
+
+// Subscribers, in order: the game and character act first, then feedback follows
+bus.subscribe(({ command }) => {
+  const action = registry.get(command).game;
+  if (action) setPaused(action === 'pause');
+});
+
+bus.subscribe(({ command, source, details }) => {
+  console.log(`🎮 Processing command: ${command} (${source})`);
+  character.processCommand(command, details);
+});
+
+bus.subscribe(({ command, details }) => {
+  if (details.quiet) return;
+  showFeedback(command);
   playFeedbackSound(command);
+});
+
+bus.subscribe(recordLatency);
+
+/**
+ * Record how long a spoken command took to reach the character
+ */
+function recordLatency({ command, details }) {
+  if (details.speechDetectedAt === undefined) return;
+  
+  const now = performance.now();
+  latencyLog.push({
+    command,
+    interim: details.interim,
+    fromSpeechMs: Math.round(now - details.speechDetectedAt),
+    fromRecognitionMs: Math.round(now - details.recognizedAt)
+  });
+  if (latencyLog.length > LATENCY_LOG_SIZE) {
+    latencyLog.shift();
+  }
 }
 
 /**
  * Play subtle audio feedback
  */
 function playFeedbackSound(command) {
+  const volume = settings.get('volume');
+  if (volume <= 0) return;
+  const tone = FEEDBACK_TONES[settings.get('tone')] || FEEDBACK_TONES.soft;
+
   // Create a simple tone using Web Audio API
   try {
     const audioContext = new (window.AudioContext || window.webkitAudioContext)();
@@ -86,16 +306,28 @@ function playFeedbackSound(command) {
       stop: 300,
       jump: 600,
       wave: 450,
-      dance: 550
+      dance: 550,
+      look: 480,
+      turn: 350,
+      left: 380,
+      right: 420,
+      faster: 650,
+      slower: 250,
+      pause: 200,
+      resume: 450,
+      greeting: 700, // Someone waved back
+      collect: 750,
+      milestone: 880
     };
     
     oscillator.connect(gainNode);
     gainNode.connect(audioContext.destination);
     
-    oscillator.frequency.value = frequencies[command] || 400;
-    oscillator.type = 'sine';
+    oscillator.frequency.value = (frequencies[command] || 400) * tone.pitch;
+    oscillator.type = tone.type;
     
-    gainNode.gain.setValueAtTime(0.1, audioContext.currentTime);
+    // Half volume is the original 0.1 gain
+    gainNode.gain.setValueAtTime(0.2 * volume, audioContext.currentTime);
     gainNode.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + 0.2);
     
     oscillator.start(audioContext.currentTime);
@@ -107,11 +339,11 @@ function playFeedbackSound(command) {
 }
 
 /**
- * Handle speech recognition status changes
+ * Show the microphone's status on the mic button
  */
-function handleStatusChange({ listening, error }) {
+function showMicStatus({ listening, error }) {
   if (error) {
-    micText.textContent = 'Error';
+    micText.textContent = t('error');
     micStatus.classList.remove('listening');
     alert(error);
     return;
@@ -119,28 +351,333 @@ function handleStatusChange({ listening, error }) {
   
   if (listening) {
     micStatus.classList.add('listening');
-    micText.textContent = 'Listening...';
+    micText.textContent = t('listening');
     micIcon.textContent = '🎤';
   } else {
     micStatus.classList.remove('listening');
-    micText.textContent = 'Click to Start';
+    micText.textContent = t('clickToStart');
     micIcon.textContent = '🎤';
   }
 }
 
+/**
+ * Handle speech recognition status changes
+ */
+function handleStatusChange(status) {
+  if (listensForSounds()) {
+    console.log(`🎤 Speech input ${status.listening ? 'on' : 'off'}`);
+    return;
+  }
+  showMicStatus(status);
+}
+
+/**
+ * Handle sound (non-verbal) recognition status changes
+ */
+function handleSoundStatusChange({ listening, error }) {
+  if (listensForSounds()) {
+    showMicStatus({ listening, error });
+    return;
+  }
+  // Speech recognition already reports mic problems to the user
+  if (error) {
+    console.warn('🔊', error);
+    return;
+  }
+  console.log(`🔊 Sound input ${listening ? 'on' : 'off'}`);
+}
+
 // Initialize speech recognition
-const speech = new SpeechRecognition(handleCommand, handleStatusChange);
+const speech = new SpeechRecognition((command, match) => sendCommand(command, 'voice', match), handleStatusChange, {
+  registry,
+  onSuggestion: showSuggestion,
+  // Every finished utterance goes into the session record, understood or not
+  onUtterance: (utterance) => recorder.recordUtterance(utterance),
+  // Act on confident interim results so "jump" lands before the stone
+  fireOnInterim: true
+});
+
+// Initialize sound recognition (hums, claps, pitch glides)
+const vocal = new VocalizationRecognition((command, detection) => sendCommand(command, 'sound', detection), handleSoundStatusChange, {
+  registry,
+  // Sounds go into the session record too, including the ones that missed
+  onUtterance: (utterance) => recorder.recordUtterance(utterance)
+});
+
+// Load the active user profile so recognition adapts to this user
+const profiles = new ProfileStore();
+const activeProfile = profiles.getActive();
+speech.applyProfile(activeProfile);
+vocal.applyProfile(activeProfile);
+
+// Session record for therapists (utterances, commands, outcomes), kept per user
+const sessionStore = new SessionStore();
+const recorder = new SessionRecorder({
+  store: sessionStore,
+  world,
+  bus,
+  user: activeProfile ? activeProfile.name : null
+});
+
+// Caregiver calibration wizard
+const calibration = new CalibrationWizard({
+  panel: calibrationPanel,
+  store: profiles,
+  speech,
+  vocal,
+  registry,
+  commands: registry.list(),
+  onProfileChange: (profile) => {
+    speech.applyProfile(profile);
+    vocal.applyProfile(profile);
+    recorder.setUser(profile ? profile.name : null);
+  }
+});
+
+calibrationButton.addEventListener('click', () => {
+  calibration.toggle();
+});
+
+// Session history and export
+const historyView = new HistoryPanel({ panel: historyPanel, store: sessionStore, recorder, profiles });
+
+historyButton.addEventListener('click', () => {
+  historyView.toggle();
+});
+
+// Caregiver command words panel
+const vocabulary = new VocabularyPanel({ panel: vocabularyPanel, registry });
+
+vocabularyButton.addEventListener('click', () => {
+  vocabulary.toggle();
+});
+
+registry.onChange(() => {
+  speech.refreshVocabulary();
+  renderCommandHelp();
+  scanner.refresh();
+});
+
+// Switch access: scan the command tiles and select with a switch
+const scanner = new SwitchScanner({
+  container: commandsGrid,
+  onSelect: (command) => sendCommand(command, 'switch')
+});
+const scanningSettings = new ScanningPanel({ panel: scanningPanel, scanner });
+
+scanningButton.addEventListener('click', () => {
+  scanningSettings.toggle();
+});
+
+// Tapping a tile works like saying its command (caregivers can model commands)
+commandsGrid.addEventListener('click', (e) => {
+  const tile = e.target.closest('.command-item');
+  // While scanning, the press was already handled as a switch
+  if (!tile || scanner.enabled) return;
+  sendCommand(tile.dataset.command, 'touch');
+});
+
+pauseButton.addEventListener('click', () => {
+  const command = paused ? 'resume' : 'pause';
+  // The button still works if a caregiver switched the spoken command off
+  if (sendCommand(command, 'touch') !== 'delivered') setPaused(!paused);
+});
+
+calmButton.addEventListener('click', () => {
+  setCalm(!world.calm);
+});
+
+const settingsControls = new SettingsPanel({
+  panel: settingsPanel,
+  settings,
+  onPreview: () => playFeedbackSound('walk')
+});
+
+settingsButton.addEventListener('click', () => {
+  settingsControls.toggle();
+});
+
+// Swipe gestures on the street
+const gestures = new SwipeGestures({
+  surface: document.querySelector('.scene'),
+  onCommand: (command) => sendCommand(command, 'touch')
+});
+
+swipeEnabled.checked = gestures.enabled;
+swipeEnabled.addEventListener('change', () => {
+  gestures.setEnabled(swipeEnabled.checked);
+});
+
+// Gamepad / controller input
+const gamepad = new GamepadInput({
+  onCommand: (command) => {
+    // While scanning, gamepad buttons are switches instead
+    if (!scanner.enabled) sendCommand(command, 'gamepad');
+  },
+  onConnectionChange: (pads) => {
+    gamepadStatus.textContent = pads.length ? `— ${pads.length} connected` : '— not connected';
+  }
+});
+gamepadStatus.textContent = '— not connected';
+
+// Letting go of the stick only stops movement the stick started
+bus.subscribe(({ command, source }) => gamepad.handleCommand(command, source));
+
+const gamepadTable = new GamepadBindingsTable({
+  container: gamepadBindings,
+  gamepad,
+  commands: registry.list()
+});
+
+gamepadReset.addEventListener('click', () => {
+  gamepad.resetBindings();
+  gamepadTable.render();
+});
+
+// Language selector
+for (const [code, locale] of Object.entries(locales)) {
+  const option = document.createElement('option');
+  option.value = code;
+  option.textContent = locale.name;
+  option.selected = code === getLocaleCode();
+  languageSelect.appendChild(option);
+}
+
+languageSelect.addEventListener('change', () => {
+  setLocale(languageSelect.value);
+});
+
+onLocaleChange((locale) => {
+  speech.setLocale(locale);
+  renderCommandHelp();
+  scanner.refresh();
+  vocabulary.render();
+  micText.textContent = speech.isListening ? t('listening') : t('clickToStart');
+});
+
+// Route selector: random walk, a built-in level, or a level file from disk
+let customLevel = null;
+
+/**
+ * Fill the route selector, marking the current choice
+ */
+function renderLevelOptions(selected) {
+  levelSelect.innerHTML = '<option value="">🎲 Random walk</option>';
+  const routes = Object.entries(LEVELS).map(([id, level]) => [id, level.name]);
+  if (customLevel) routes.push(['custom', customLevel.name]);
+  for (const [id, name] of routes) {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = `🗺️ ${name}`;
+    levelSelect.appendChild(option);
+  }
+  levelSelect.insertAdjacentHTML('beforeend', '<option value="file">📂 Open route file…</option>');
+  levelSelect.value = selected;
+}
+
+/**
+ * Play a route (or random spawning for none)
+ */
+function startLevel(id) {
+  const level = id === 'custom' ? customLevel : LEVELS[id];
+  if (!level) {
+    world.unloadLevel();
+    return;
+  }
+  try {
+    world.loadLevel(level);
+    rewards.reset(); // Each route is scored on its own
+    recorder.record('route', { route: level.name });
+  } catch (error) {
+    alert(`Could not load route: ${error.message}`);
+  }
+}
+
+levelSelect.addEventListener('change', () => {
+  if (levelSelect.value === 'file') {
+    levelFile.click();
+    // Show the current route until a file is actually picked
+    renderLevelOptions(levelSelect.dataset.current || '');
+    return;
+  }
+  levelSelect.dataset.current = levelSelect.value;
+  startLevel(levelSelect.value);
+});
+
+levelFile.addEventListener('change', async () => {
+  const file = levelFile.files[0];
+  if (!file) return;
+  try {
+    customLevel = parseLevel(await file.text(), Object.keys(world.types));
+    levelSelect.dataset.current = 'custom';
+    renderLevelOptions('custom');
+    startLevel('custom');
+  } catch (error) {
+    alert(`Could not load route: ${error.message}`);
+  } finally {
+    levelFile.value = '';
+  }
+});
+
+// ?level=first-jumps starts a built-in route straight away
+const levelParam = new URLSearchParams(window.location.search).get('level');
+const initialLevel = LEVELS[levelParam] ? levelParam : '';
+levelSelect.dataset.current = initialLevel;
+renderLevelOptions(initialLevel);
+startLevel(initialLevel);
+
+renderCommandHelp();
+scanner.refresh();
+
+/**
+ * Whether the microphone listens for sounds rather than words. Never both:
+ * a spoken word would also be heard as a hum, glide or shout.
+ */
+function listensForSounds() {
+  return settings.get('listenFor') === 'sounds';
+}
+
+/**
+ * The recognizer the microphone button drives
+ */
+function listeningInput() {
+  return listensForSounds() ? vocal : speech;
+}
+
+/**
+ * Toggle listening with the chosen input (words or sounds)
+ */
+function toggleListening() {
+  if (speech.isListening || vocal.isListening) {
+    speech.stop();
+    vocal.stop();
+  } else if (listeningInput().isSupported) {
+    listeningInput().start();
+  }
+}
+
+// Switching between words and sounds while listening hands the mic over
+let listenFor = settings.get('listenFor');
+settings.onChange(() => {
+  if (settings.get('listenFor') === listenFor) return;
+  listenFor = settings.get('listenFor');
+  const input = listeningInput();
+  const other = input === speech ? vocal : speech;
+  if (!other.isListening) return;
+  other.stop();
+  if (input.isSupported) input.start();
+});
 
 // Set up microphone toggle
 micStatus.addEventListener('click', () => {
-  speech.toggle();
+  toggleListening();
 });
 
-// Keyboard shortcut: Space bar to toggle listening
+// Keyboard shortcut: Space bar to toggle listening (unless it's a scanning switch)
 document.addEventListener('keydown', (e) => {
-  if (e.code === 'Space' && e.target === document.body) {
+  if (e.code === 'Space' && e.target === document.body && !scanner.isSwitchKey(e)) {
     e.preventDefault();
-    speech.toggle();
+    toggleListening();
   }
 });
 
@@ -150,16 +687,16 @@ console.log('🎤 Voice recognition will auto-start on first interaction');
 
 // Check for speech recognition support
 if (!speech.isSupported) {
-  micText.textContent = 'Not Supported';
+  micText.textContent = t('notSupported');
   alert('Speech recognition is not supported in this browser. Please use Chrome or Edge for the best experience.');
 }
 
 // Auto-start speech recognition on first user interaction
 let hasAutoStarted = false;
 function autoStartSpeech() {
-  if (!hasAutoStarted && speech.isSupported) {
+  if (!hasAutoStarted && listeningInput().isSupported) {
     hasAutoStarted = true;
-    speech.start();
+    listeningInput().start();
     // Remove listeners after first interaction
     document.removeEventListener('click', autoStartSpeech);
     document.removeEventListener('keydown', autoStartSpeech);
@@ -173,7 +710,7 @@ document.addEventListener('keydown', autoStartSpeech);
 // AUTO-START: Character starts walking immediately!
 setTimeout(() => {
   console.log('🚀 Auto-starting game: Character walking!');
-  character.processCommand('walk');
+  sendCommand('walk', 'script', { quiet: true });
 }, 500);
 
 // ==========================================
@@ -183,16 +720,63 @@ window.game = {
   // Get current character state
   getState: () => character.getState(),
   
+  // Snapshot of the game for debugging (includes the world seed to replay it)
+  state: () => ({
+    seed: world.random.seed,
+    level: world.level ? world.level.name : null,
+    character: character.getState(),
+    worldX: Math.round(character.worldX),
+    speed: Math.round(character.speed),
+    direction: character.direction,
+    paused,
+    calm: world.calm,
+    score: rewards.score,
+    objects: world.objects.map(entity => `${entity.type}#${entity.id}`)
+  }),
+  
+  // Pause, resume and calm mode (also on screen)
+  pause: () => setPaused(true),
+  resume: () => setPaused(false),
+  calm: (on = true) => setCalm(on),
+  
   // Inject a command programmatically
   command: (cmd) => {
     console.log(`🔧 Debug command injected: ${cmd}`);
-    handleCommand(cmd);
+    sendCommand(cmd, 'script');
     return character.getState();
   },
   
+  // Speech-to-character latency of recent commands
+  latency: () => {
+    console.table(latencyLog);
+    const average = latencyLog.length
+      ? Math.round(latencyLog.reduce((sum, entry) => sum + entry.fromSpeechMs, 0) / latencyLog.length)
+      : null;
+    return { averageMs: average, entries: [...latencyLog] };
+  },
+  
   // Access internal instances
   character: character,
+  world: world,
+  loop: loop,
+  bus: bus,
   speech: speech,
+  vocal: vocal,
+  registry: registry,
+  settings: settings,
+  rewards: rewards,
+  recorder: recorder,
+  scanner: scanner,
+  gestures: gestures,
+  gamepad: gamepad,
+  profiles: profiles,
+
+  // Feed a synthesized sound ('hum', 'pop', 'rising', 'falling', 'burst')
+  // through sound recognition, as if heard by the microphone
+  sound: (type) => {
+    console.log(`🔧 Debug sound injected: ${type}`);
+    return vocal.processBuffer(synthesizeSound(type, 44100), 44100);
+  },
   
   // Run a quick self-test sequence
   debug: async () => {
@@ -202,7 +786,7 @@ window.game = {
     
     for (const cmd of commands) {
       console.log(`Testing command: ${cmd}...`);
-      handleCommand(cmd);
+      sendCommand(cmd, 'script');
       
       // Wait a bit for state transition
       await new Promise(r => setTimeout(r, 100));
@@ -226,4 +810,4 @@ window.game = {
   }
 };
 
-console.log('🔧 Debug mode available: Use window.game.command("run") or window.game.debug()');
+console.log('🔧 Debug mode available: Use window.game.command("run"), window.game.sound("hum") or window.game.debug()');
@@ -0,0 +1,142 @@
+/**
+ * Command Matching Module
+ * Fuzzy and phonetic matching of recognizer transcripts against command aliases
+ */
+
+/**
+ * Number of single-letter edits needed to turn one string into another
+ */
+export function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Rough sound-alike key for an English-ish word (simplified metaphone)
+ * e.g. "walk" and "wok" → "WK", "dance" and "dants" → "TNS"/"TNTS"
+ */
+export function phoneticKey(word) {
+  let w = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (!w) return '';
+
+  w = w
+    .replace(/^kn|^gn|^wr/, m => m[1])
+    .replace(/[ao]lk/g, 'ok')      // silent l: walk, talk, folk
+    .replace(/igh/g, 'i')          // silent gh: high, night
+    .replace(/ph/g, 'f')
+    .replace(/ck/g, 'k')
+    .replace(/c(?=[eiy])/g, 's')
+    .replace(/c/g, 'k')
+    .replace(/q/g, 'k')
+    .replace(/x/g, 'ks')
+    .replace(/dg/g, 'j')
+    .replace(/d/g, 't')
+    .replace(/z/g, 's')
+    .replace(/wh/g, 'w')
+    .replace(/([^aeiou])h/g, '$1')
+    .replace(/e$/, '');            // silent final e: dance, wave
+
+  // Keep the first letter, drop later vowels and repeated letters
+  const first = w[0];
+  const rest = w.slice(1).replace(/[aeiouy]/g, '');
+  return (first + rest).replace(/(.)\1+/g, '$1').toUpperCase();
+}
+
+// Near misses shorter than this are a letter away from everyday words
+// ("lift" / "left", "hope" / "hop", "plan" / "plane"), so they never act
+const MIN_FUZZY_LENGTH = 5;
+// Score of a near miss that may act: sounds the same, one letter off ("jumpin")
+const NEAR_MISS_SCORE = 0.85;
+// Other close words score below the default threshold: "Did you mean …?" only
+const SUGGESTION_CAP = 0.59;
+// Recognizer confidences below this are no real estimate (Chrome's interim results report ~0.01)
+const UNKNOWN_CONFIDENCE = 0.05;
+
+/**
+ * How alike a heard word is to an alias (0..1)
+ */
+export function similarity(heard, alias) {
+  if (heard === alias) return 1;
+
+  const heardKey = phoneticKey(heard);
+  const aliasKey = phoneticKey(alias);
+  // Everyday words one sound away start differently ("top" / "stop", "talk" / "walk")
+  if (!heardKey || heardKey[0] !== aliasKey[0]) return 0;
+
+  const edits = levenshtein(heard, alias);
+  const longEnough = Math.min(heard.length, alias.length) >= MIN_FUZZY_LENGTH;
+  if (longEnough && heardKey === aliasKey && edits <= 1) return NEAR_MISS_SCORE;
+
+  const spelling = 1 - edits / Math.max(heard.length, alias.length);
+  const keyLength = Math.max(heardKey.length, aliasKey.length, 1);
+  // Sounding alike counts slightly less than being spelled alike
+  const sound = (1 - levenshtein(heardKey, aliasKey) / keyLength) * 0.9;
+
+  // Spelling and sound must both agree: either alone matches too many everyday words
+  const score = (spelling + sound) / 2;
+  // Words that don't sound the same are rarely worth a suggestion either
+  return heardKey === aliasKey ? Math.min(score, SUGGESTION_CAP) : score * 0.75;
+}
+
+/**
+ * Find the best command across all recognizer alternatives
+ * @param {Array<{transcript: string, confidence: number}>} alternatives - Recognizer results
+ * @param {Object<string, string[]>} commands - Command → aliases
+ * @returns {{command: string, confidence: number, similarity: number, transcript: string, word: string}|null}
+ *   `confidence` is the similarity weighted by the recognizer's confidence
+ */
+export function matchCommand(alternatives, commands) {
+  let best = null;
+
+  for (const { transcript, confidence } of alternatives) {
+    const text = transcript.toLowerCase().trim();
+    // Browsers report 0 or close to it when they have no confidence estimate
+    // (e.g. interim results): weigh that as middling, not as certain or hopeless
+    const weight = confidence >= UNKNOWN_CONFIDENCE ? 0.6 + 0.4 * confidence : 0.8;
+
+    for (const word of text.split(/\s+/)) {
+      if (!word) continue;
+
+      for (const [command, aliases] of Object.entries(commands)) {
+        for (const alias of aliases) {
+          // Single letters are too ambiguous for anything but an exact hit
+          if (word !== alias && word.length < 2) continue;
+
+          const alike = similarity(word, alias);
+          const score = alike * weight;
+          if (!best || score > best.confidence) {
+            best = { command, confidence: score, similarity: alike, transcript: text, word };
+          }
+        }
+      }
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Find a modifier word (e.g. "small" or "big") anywhere in a transcript
+ * @param {string} transcript - Recognized text
+ * @param {Object<string, string[]>} modifiers - Modifier name → words
+ * @returns {string|null} Modifier name
+ */
+export function findModifier(transcript, modifiers = {}) {
+  const words = transcript.toLowerCase().split(/\s+/);
+  for (const [name, aliases] of Object.entries(modifiers)) {
+    if (words.some(word => aliases.includes(word))) return name;
+  }
+  return null;
+}
@@ -0,0 +1,222 @@
+/**
+ * User Profiles Module
+ * Stores per-user calibration (word aliases and sound templates) in localStorage
+ */
+
+const STORAGE_KEY = 'voiceGame.profiles';
+const ACTIVE_KEY = 'voiceGame.activeProfile';
+const PROFILE_VERSION = 1;
+
+/**
+ * Create an empty profile
+ */
+export function createProfile(name) {
+  const now = new Date().toISOString();
+  return {
+    version: PROFILE_VERSION,
+    name,
+    createdAt: now,
+    updatedAt: now,
+    // Extra words per command, e.g. { jump: ['jum', 'boing'] }
+    words: {},
+    // Sound calibration: classifier thresholds and recorded templates
+    sounds: {
+      thresholds: {},
+      templates: []
+    }
+  };
+}
+
+/**
+ * Derive sound thresholds and templates from recorded samples
+ * @param {Array<{command: string, features: object}>} samples - Measured recordings
+ * @returns {{thresholds: object, templates: Array}} Sound section of a profile
+ */
+export function deriveSoundProfile(samples) {
+  if (samples.length === 0) {
+    return { thresholds: {}, templates: [] };
+  }
+
+  // Start listening a little below the quietest recorded sound
+  const quietestPeak = Math.min(...samples.map(s => s.features.peak));
+  const onset = Math.max(0.005, quietestPeak * 0.4);
+
+  const templates = samples.map(({ command, features }) => ({
+    command,
+    duration: features.duration,
+    meanRms: features.meanRms,
+    peak: features.peak,
+    pitchSlope: features.pitchSlope,
+    voiced: features.voiced
+  }));
+
+  return {
+    thresholds: {
+      onset,
+      release: onset * 0.66
+    },
+    templates
+  };
+}
+
+/**
+ * A finite number above zero (durations, loudness and thresholds)
+ */
+function isPositive(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+/**
+ * Check an imported sound template has the features classification compares
+ */
+function isValidTemplate(template) {
+  return !!template && typeof template === 'object' &&
+    typeof template.command === 'string' &&
+    isPositive(template.duration) &&
+    isPositive(template.meanRms) &&
+    isPositive(template.peak) &&
+    Number.isFinite(template.pitchSlope) &&
+    typeof template.voiced === 'boolean';
+}
+
+/**
+ * Check that imported data looks like a profile
+ */
+function validateProfile(data) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Profile must be a JSON object');
+  }
+  if (typeof data.name !== 'string' || data.name.trim() === '') {
+    throw new Error('Profile needs a name');
+  }
+  if (data.version !== PROFILE_VERSION) {
+    throw new Error(`Unsupported profile version: ${data.version}`);
+  }
+
+  const profile = createProfile(data.name.trim());
+  profile.createdAt = data.createdAt || profile.createdAt;
+
+  for (const [command, words] of Object.entries(data.words || {})) {
+    if (Array.isArray(words)) {
+      profile.words[command] = words.filter(w => typeof w === 'string').map(w => w.toLowerCase().trim());
+    }
+  }
+
+  if (data.sounds) {
+    const { thresholds = {}, templates = [] } = data.sounds;
+    if (!thresholds || typeof thresholds !== 'object') {
+      throw new Error('Sound thresholds must be an object');
+    }
+    for (const [name, value] of Object.entries(thresholds)) {
+      if (!isPositive(value)) {
+        throw new Error(`Sound threshold "${name}" must be a positive number`);
+      }
+    }
+    if (!Array.isArray(templates) || !templates.every(isValidTemplate)) {
+      throw new Error('Sound templates must each have a command and measured features');
+    }
+    profile.sounds.thresholds = { ...thresholds };
+    profile.sounds.templates = templates.map(({ command, duration, meanRms, peak, pitchSlope, voiced }) => (
+      { command, duration, meanRms, peak, pitchSlope, voiced }
+    ));
+  }
+
+  return profile;
+}
+
+export class ProfileStore {
+  constructor(storage = window.localStorage) {
+    this.storage = storage;
+    this.profiles = this.load();
+  }
+
+  /**
+   * Read all profiles from storage
+   */
+  load() {
+    try {
+      return JSON.parse(this.storage.getItem(STORAGE_KEY)) || {};
+    } catch (e) {
+      console.warn('Could not read saved profiles, starting fresh');
+      return {};
+    }
+  }
+
+  /**
+   * Write all profiles to storage
+   */
+  persist() {
+    this.storage.setItem(STORAGE_KEY, JSON.stringify(this.profiles));
+  }
+
+  /**
+   * Names of all saved profiles
+   */
+  list() {
+    return Object.keys(this.profiles).sort();
+  }
+
+  /**
+   * Get a profile by name
+   */
+  get(name) {
+    return this.profiles[name] || null;
+  }
+
+  /**
+   * Save (create or replace) a profile
+   */
+  save(profile) {
+    profile.updatedAt = new Date().toISOString();
+    this.profiles[profile.name] = profile;
+    this.persist();
+    return profile;
+  }
+
+  /**
+   * Delete a profile
+   */
+  remove(name) {
+    delete this.profiles[name];
+    this.persist();
+    if (this.storage.getItem(ACTIVE_KEY) === name) {
+      this.storage.removeItem(ACTIVE_KEY);
+    }
+  }
+
+  /**
+   * Get the profile used at startup
+   */
+  getActive() {
+    return this.get(this.storage.getItem(ACTIVE_KEY));
+  }
+
+  /**
+   * Choose the profile used at startup (null for none)
+   */
+  setActive(name) {
+    if (name && this.profiles[name]) {
+      this.storage.setItem(ACTIVE_KEY, name);
+    } else {
+      this.storage.removeItem(ACTIVE_KEY);
+    }
+    return this.getActive();
+  }
+
+  /**
+   * Export a profile as a JSON string
+   */
+  exportProfile(name) {
+    const profile = this.get(name);
+    if (!profile) throw new Error(`No profile named "${name}"`);
+    return JSON.stringify(profile, null, 2);
+  }
+
+  /**
+   * Import a profile from a JSON string (replaces one with the same name)
+   */
+  importProfile(json) {
+    const profile = validateProfile(JSON.parse(json));
+    return this.save(profile);
+  }
+}
@@ -0,0 +1,63 @@
+/**
+ * Seeded Random Module
+ * Repeatable pseudo-random numbers, so the same seed replays the same walk
+ */
+
+/**
+ * Turn any seed (number or text) into a 32-bit integer
+ */
+export function parseSeed(value) {
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) return Number(text) >>> 0;
+
+  // FNV-1a hash for word seeds like "tuesday"
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * A fresh seed for sessions that don't ask for one
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+export class SeededRandom {
+  /**
+   * @param {number|string} seed - Same seed, same sequence
+   */
+  constructor(seed = randomSeed()) {
+    this.reset(seed);
+  }
+
+  /**
+   * Start the sequence over (optionally from a new seed)
+   */
+  reset(seed = this.seed) {
+    this.seed = parseSeed(seed);
+    this.state = this.seed;
+  }
+
+  /**
+   * Next number in [0, 1), like Math.random() (mulberry32)
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Independent sequence derived from this seed, so one consumer (e.g. the
+   * sky) drawing more or fewer numbers doesn't shift another's sequence
+   */
+  fork(name) {
+    return new SeededRandom(parseSeed(`${this.seed}:${name}`));
+  }
+}
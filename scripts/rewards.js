@@ -0,0 +1,144 @@
+/**
+ * Rewards Module
+ * Scores what the player manages in the world (stones cleared, the dog
+ * outrun, greetings returned, items picked up...), shows the score in the
+ * counter and celebrates each milestone.
+ */
+
+import { t } from './locales.js';
+
+// Points for each world outcome; collectibles bring their own points
+export const REWARD_POINTS = {
+  stoneCleared: 10,
+  dogOutrun: 20,
+  dogBefriended: 10,
+  greetingReturned: 10,
+  crossingWaited: 15,
+  airplaneWaved: 5
+};
+
+// Scores that get a celebration; past the last one, every MILESTONE_STEP more
+export const MILESTONES = [25, 50, 100, 200, 300, 500];
+const MILESTONE_STEP = 250;
+
+export class Rewards {
+  /**
+   * @param {object} options
+   * @param {WorldObjects} options.world - Source of the outcomes that score
+   * @param {HTMLElement} options.counter - The #scoreCounter element
+   * @param {Function} options.onMilestone - Called with the milestone score when one is reached
+   */
+  constructor({ world, counter, onMilestone = () => {} }) {
+    this.world = world;
+    this.counter = counter;
+    this.value = counter.querySelector('#scoreValue');
+    this.onMilestone = onMilestone;
+
+    this.score = 0;
+    this.counts = {}; // Times each reward was earned, e.g. { stoneCleared: 3, star: 1 }
+    this.nextMilestone = MILESTONES[0];
+
+    this.bindEvents();
+    this.render();
+  }
+
+  /**
+   * Award points for the outcomes the world reports
+   */
+  bindEvents() {
+    const { world } = this;
+    world.on('collect', ({ item, points }) => this.award(item, points));
+    world.on('stone', ({ outcome }) => {
+      if (outcome === 'cleared') this.award('stoneCleared');
+    });
+    world.on('dog', ({ outcome }) => {
+      if (outcome === 'outrun') this.award('dogOutrun');
+      if (outcome === 'befriended') this.award('dogBefriended');
+    });
+    world.on('greeting', ({ returned }) => {
+      if (returned) this.award('greetingReturned');
+    });
+    world.on('crossing', ({ outcome }) => {
+      if (outcome === 'waited') this.award('crossingWaited');
+    });
+    world.on('airplane', ({ responded }) => {
+      if (responded) this.award('airplaneWaved');
+    });
+  }
+
+  /**
+   * Add points to the score
+   * @param {string} reason - Key of REWARD_POINTS, or the collected item's name
+   * @param {number} points - Defaults to the reason's REWARD_POINTS
+   */
+  award(reason, points = REWARD_POINTS[reason]) {
+    if (!points) return;
+    this.score += points;
+    this.counts[reason] = (this.counts[reason] || 0) + 1;
+    console.log(`⭐ +${points} (${reason}) → ${this.score}`);
+
+    this.render();
+    this.showGain(points);
+
+    while (this.score >= this.nextMilestone) {
+      const milestone = this.nextMilestone;
+      this.nextMilestone = MILESTONES.find(score => score > milestone) || milestone + MILESTONE_STEP;
+      this.celebrate(milestone);
+    }
+  }
+
+  /**
+   * Confetti, a bouncing counter and a message for a milestone
+   */
+  celebrate(milestone) {
+    console.log(`🎉 Milestone: ${milestone} points!`);
+    this.world.showMessage(t('milestone', { score: milestone }), 2500);
+
+    // Restart the counter's bounce even if it's still running
+    this.counter.classList.remove('celebrating');
+    void this.counter.offsetWidth;
+    this.counter.classList.add('celebrating');
+
+    const burst = document.createElement('div');
+    burst.className = 'celebration';
+    burst.setAttribute('aria-hidden', 'true');
+    ['🎉', '⭐', '🎈', '✨', '🎉', '⭐', '🎈', '✨'].forEach((emoji, index) => {
+      const piece = document.createElement('span');
+      piece.textContent = emoji;
+      piece.style.setProperty('--angle', `${index * 45}deg`);
+      burst.appendChild(piece);
+    });
+    this.world.scene.appendChild(burst);
+    setTimeout(() => burst.remove(), 1500);
+
+    this.onMilestone(milestone);
+  }
+
+  /**
+   * A "+10" that floats up from the counter
+   */
+  showGain(points) {
+    const gain = document.createElement('span');
+    gain.className = 'score-gain';
+    gain.textContent = `+${points}`;
+    this.counter.appendChild(gain);
+    setTimeout(() => gain.remove(), 1000);
+  }
+
+  /**
+   * Back to zero (a new route starts)
+   */
+  reset() {
+    this.score = 0;
+    this.counts = {};
+    this.nextMilestone = MILESTONES[0];
+    this.render();
+  }
+
+  /**
+   * Show the current score
+   */
+  render() {
+    this.value.textContent = this.score;
+  }
+}
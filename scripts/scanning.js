@@ -0,0 +1,331 @@
+/**
+ * Switch Scanning Module
+ * Single-button and two-button (step/select) access to the command tiles
+ * for users who can press an accessibility switch but not vocalize reliably
+ */
+
+const STORAGE_KEY = 'voiceGame.scanning';
+
+// Two-switch mode: which inputs step and which select
+const STEP_KEYS = ['Space', 'ArrowRight', 'ArrowDown', 'Digit1', 'Numpad1'];
+const SELECT_KEYS = ['Enter', 'NumpadEnter', 'Digit2', 'Numpad2'];
+const SELECT_MOUSE_BUTTON = 2;    // Right button selects, any other steps
+const SELECT_GAMEPAD_BUTTON = 0;  // "A" selects, any other steps
+
+// Controls that keep working normally while scanning
+const UNSCANNED_CONTROLS = '.caregiver-panel, .caregiver-tools, .mic-status, .pause-button';
+
+export class SwitchScanner {
+  /**
+   * @param {object} options
+   * @param {HTMLElement} options.container - Element holding the .command-item tiles
+   * @param {Function} options.onSelect - Called with the highlighted command
+   */
+  constructor({ container, onSelect }) {
+    this.container = container;
+    this.onSelect = onSelect;
+
+    const saved = this.load();
+    this.enabled = saved.enabled ?? false;
+    this.mode = saved.mode || 'single';   // 'single' or 'two'
+    this.interval = saved.interval || 1500; // ms per tile in single-switch mode
+    this.debounce = 300;                  // Ignore repeated presses (tremor)
+
+    this.index = -1;
+    this.timer = null;
+    this.lastPress = 0;
+    this.gamepadButtons = new Map(); // gamepad index → pressed flags from last poll
+    this.pollFrame = null;
+
+    this.handleKey = this.handleKey.bind(this);
+    this.handleMouse = this.handleMouse.bind(this);
+    this.handleContextMenu = this.handleContextMenu.bind(this);
+    this.pollGamepads = this.pollGamepads.bind(this);
+
+    if (this.enabled) {
+      this.start();
+    }
+  }
+
+  /**
+   * Read saved scanning settings
+   */
+  load() {
+    try {
+      return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  /**
+   * Save scanning settings
+   */
+  persist() {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify({
+      enabled: this.enabled,
+      mode: this.mode,
+      interval: this.interval
+    }));
+  }
+
+  /**
+   * Change settings; restarts scanning so they take effect immediately
+   */
+  configure({ enabled = this.enabled, mode = this.mode, interval = this.interval }) {
+    this.stop();
+    this.enabled = enabled;
+    this.mode = mode;
+    this.interval = interval;
+    this.persist();
+    if (this.enabled) {
+      this.start();
+    }
+  }
+
+  /**
+   * Tiles currently on screen
+   */
+  items() {
+    return Array.from(this.container.querySelectorAll('.command-item'));
+  }
+
+  /**
+   * Begin listening to switches and highlighting tiles
+   */
+  start() {
+    document.addEventListener('keydown', this.handleKey, true);
+    document.addEventListener('mousedown', this.handleMouse, true);
+    document.addEventListener('contextmenu', this.handleContextMenu, true);
+    this.pollFrame = requestAnimationFrame(this.pollGamepads);
+
+    this.index = -1;
+    this.step();
+    this.restartTimer();
+    console.log(`🔘 Switch scanning on (${this.mode === 'two' ? 'two switches' : 'one switch'})`);
+  }
+
+  /**
+   * Stop scanning and remove the highlight
+   */
+  stop() {
+    document.removeEventListener('keydown', this.handleKey, true);
+    document.removeEventListener('mousedown', this.handleMouse, true);
+    document.removeEventListener('contextmenu', this.handleContextMenu, true);
+    if (this.pollFrame) {
+      cancelAnimationFrame(this.pollFrame);
+      this.pollFrame = null;
+    }
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.items().forEach(item => item.classList.remove('scanning'));
+  }
+
+  /**
+   * Single-switch mode advances on its own; two-switch mode waits for "step"
+   */
+  restartTimer() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = this.mode === 'single' ? setInterval(() => this.step(), this.interval) : null;
+  }
+
+  /**
+   * Move the highlight to the next tile
+   */
+  step() {
+    const items = this.items();
+    if (items.length === 0) return;
+
+    this.index = (this.index + 1) % items.length;
+    items.forEach((item, i) => item.classList.toggle('scanning', i === this.index));
+  }
+
+  /**
+   * Re-apply the highlight after the tiles were re-rendered
+   */
+  refresh() {
+    if (!this.enabled) return;
+    const items = this.items();
+    if (items.length === 0) return;
+
+    this.index = Math.min(Math.max(this.index, 0), items.length - 1);
+    items.forEach((item, i) => item.classList.toggle('scanning', i === this.index));
+  }
+
+  /**
+   * Issue the highlighted tile's command
+   */
+  select() {
+    const item = this.items()[this.index];
+    if (!item) return;
+
+    console.log(`🔘 Switch selected: ${item.dataset.command}`);
+    this.onSelect(item.dataset.command);
+    // Give the user a full interval to see the result before moving on
+    this.restartTimer();
+  }
+
+  /**
+   * A switch was pressed
+   * @param {boolean} isSelect - Which switch, in two-switch mode
+   */
+  press(isSelect) {
+    const now = performance.now();
+    if (now - this.lastPress < this.debounce) return;
+    this.lastPress = now;
+
+    if (this.mode === 'single' || isSelect) {
+      this.select();
+    } else {
+      this.step();
+    }
+  }
+
+  /**
+   * Caregiver controls, the microphone and the pause button keep working normally while scanning
+   */
+  isUnscannedControl(target) {
+    return !!(target && target.closest && target.closest(UNSCANNED_CONTROLS));
+  }
+
+  /**
+   * Whether a key press is a switch press while scanning (so Space doesn't
+   * also toggle the microphone)
+   */
+  isSwitchKey(e) {
+    if (!this.enabled || this.isUnscannedControl(e.target)) return false;
+    return this.mode === 'single' || STEP_KEYS.includes(e.code) || SELECT_KEYS.includes(e.code);
+  }
+
+  /**
+   * Keyboard switches (most switch interfaces emulate keys)
+   */
+  handleKey(e) {
+    if (!this.isSwitchKey(e)) return;
+    e.preventDefault();
+    if (e.repeat) return;
+    this.press(SELECT_KEYS.includes(e.code));
+  }
+
+  /**
+   * Mouse buttons (including adapted mice and switch-to-click adapters)
+   */
+  handleMouse(e) {
+    if (this.isUnscannedControl(e.target)) return;
+    e.preventDefault();
+    this.press(e.button === SELECT_MOUSE_BUTTON);
+  }
+
+  /**
+   * Right-click is a switch, not a menu, while scanning
+   */
+  handleContextMenu(e) {
+    if (!this.isUnscannedControl(e.target)) {
+      e.preventDefault();
+    }
+  }
+
+  /**
+   * Gamepad buttons have no events, so poll for newly pressed buttons
+   */
+  pollGamepads() {
+    const gamepads = navigator.getGamepads ? navigator.getGamepads() : [];
+
+    for (const gamepad of gamepads) {
+      if (!gamepad) continue;
+      const previous = this.gamepadButtons.get(gamepad.index) || [];
+      const current = gamepad.buttons.map(button => button.pressed);
+
+      current.forEach((pressed, button) => {
+        if (pressed && !previous[button]) {
+          this.press(button === SELECT_GAMEPAD_BUTTON);
+        }
+      });
+      this.gamepadButtons.set(gamepad.index, current);
+    }
+
+    this.pollFrame = requestAnimationFrame(this.pollGamepads);
+  }
+}
+
+export class ScanningPanel {
+  /**
+   * @param {object} options
+   * @param {HTMLElement} options.panel - The #scanningPanel element
+   * @param {SwitchScanner} options.scanner - Scanner to configure
+   */
+  constructor({ panel, scanner }) {
+    this.panel = panel;
+    this.scanner = scanner;
+
+    this.enabledInput = panel.querySelector('#scanningEnabled');
+    this.modeSelect = panel.querySelector('#scanningMode');
+    this.speedInput = panel.querySelector('#scanningSpeed');
+    this.speedLabel = panel.querySelector('#scanningSpeedLabel');
+
+    this.bindEvents();
+    this.render();
+  }
+
+  /**
+   * Wire up panel controls
+   */
+  bindEvents() {
+    this.panel.querySelector('[data-close]').addEventListener('click', () => this.close());
+
+    const apply = () => {
+      this.scanner.configure({
+        enabled: this.enabledInput.checked,
+        mode: this.modeSelect.value,
+        interval: Number(this.speedInput.value)
+      });
+      this.render();
+    };
+
+    this.enabledInput.addEventListener('change', apply);
+    this.modeSelect.addEventListener('change', apply);
+    this.speedInput.addEventListener('change', apply);
+    this.speedInput.addEventListener('input', () => {
+      this.speedLabel.textContent = `${(this.speedInput.value / 1000).toFixed(1)} s`;
+    });
+  }
+
+  /**
+   * Show the panel
+   */
+  open() {
+    this.render();
+    this.panel.hidden = false;
+  }
+
+  /**
+   * Hide the panel
+   */
+  close() {
+    this.panel.hidden = true;
+  }
+
+  /**
+   * Toggle panel visibility
+   */
+  toggle() {
+    if (this.panel.hidden) {
+      this.open();
+    } else {
+      this.close();
+    }
+  }
+
+  /**
+   * Reflect the scanner's settings
+   */
+  render() {
+    this.enabledInput.checked = this.scanner.enabled;
+    this.modeSelect.value = this.scanner.mode;
+    this.speedInput.value = this.scanner.interval;
+    this.speedInput.disabled = this.scanner.mode !== 'single';
+    this.speedLabel.textContent = `${(this.scanner.interval / 1000).toFixed(1)} s`;
+  }
+}
@@ -0,0 +1,314 @@
+/**
+ * Session Recording Module
+ * Keeps a record of each play session for speech therapists: every
+ * utterance and what it was understood as, every command with its latency,
+ * and how the game went (trips, cleared stones, dog catches...). Stored in
+ * IndexedDB on this device, per user, and exportable as CSV or JSON.
+ */
+
+const DB_NAME = 'voiceGame';
+const DB_VERSION = 1;
+const EXPORT_VERSION = 1;
+
+// Name used for sessions played without a profile
+export const GUEST_USER = 'Guest';
+
+/**
+ * How each world event is recorded as an outcome
+ */
+const OUTCOME_EVENTS = {
+  stone: ({ outcome }) => outcome,                            // cleared / tripped
+  dog: ({ outcome }) => outcome,                              // caught / outrun / befriended
+  greeting: ({ returned }) => (returned ? 'returned' : 'missed'),
+  crossing: ({ outcome }) => outcome,                         // waited / failed
+  airplane: ({ responded }) => (responded ? 'responded' : 'missed'),
+  collect: ({ item }) => item                                 // coin / star / balloon
+};
+
+/**
+ * Wrap an IndexedDB request in a promise
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export class SessionStore {
+  /**
+   * @param {IDBFactory} indexedDB - Where to keep the history
+   */
+  constructor(indexedDB = window.indexedDB) {
+    this.indexedDB = indexedDB;
+    this.opening = null;
+  }
+
+  /**
+   * Open (creating on first use) the database
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (!this.opening) {
+      if (!this.indexedDB) {
+        this.opening = Promise.reject(new Error('Session history is not available in this browser'));
+      } else {
+        const request = this.indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          const sessions = db.createObjectStore('sessions', { keyPath: 'id', autoIncrement: true });
+          sessions.createIndex('user', 'user');
+          const events = db.createObjectStore('events', { keyPath: 'id', autoIncrement: true });
+          events.createIndex('session', 'session');
+        };
+        this.opening = promisify(request);
+      }
+    }
+    return this.opening;
+  }
+
+  /**
+   * Run one request against an object store and wait for it to be committed
+   * @param {string} storeName - 'sessions' or 'events'
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} action - Given the object store, returns a request
+   */
+  async run(storeName, mode, action) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = action(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Save a new session
+   * @returns {Promise<number>} Its id
+   */
+  addSession(session) {
+    const { id, ...fields } = session;
+    return this.run('sessions', 'readwrite', store => store.add(fields));
+  }
+
+  /**
+   * Update a saved session (e.g. when it last saw activity)
+   */
+  saveSession(session) {
+    return this.run('sessions', 'readwrite', store => store.put(session));
+  }
+
+  /**
+   * Save one recorded event (it names its session)
+   */
+  addEvent(event) {
+    return this.run('events', 'readwrite', store => store.add(event));
+  }
+
+  /**
+   * Everyone with saved sessions
+   * @returns {Promise<string[]>}
+   */
+  async listUsers() {
+    const sessions = await this.run('sessions', 'readonly', store => store.getAll());
+    return [...new Set(sessions.map(session => session.user))].sort();
+  }
+
+  /**
+   * A user's sessions, oldest first
+   */
+  async listSessions(user) {
+    const sessions = await this.run('sessions', 'readonly', store => store.index('user').getAll(user));
+    return sessions.sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+  }
+
+  /**
+   * Everything recorded in a session, in order
+   */
+  async getEvents(sessionId) {
+    const events = await this.run('events', 'readonly', store => store.index('session').getAll(sessionId));
+    return events.sort((a, b) => a.id - b.id);
+  }
+}
+
+/**
+ * Records the current session as it's played. Nothing is saved until the
+ * first thing happens, so opening the page doesn't leave empty sessions.
+ */
+export class SessionRecorder {
+  /**
+   * @param {object} options
+   * @param {SessionStore} options.store - Where sessions are kept
+   * @param {WorldObjects} options.world - Source of game outcomes
+   * @param {CommandBus} options.bus - Source of delivered commands
+   * @param {string|null} options.user - Profile name (null plays as GUEST_USER)
+   */
+  constructor({ store, world, bus, user = null }) {
+    this.store = store;
+    this.session = null;
+    this.events = [];            // This session's events, also kept in memory
+    this.saving = Promise.resolve();
+    this.saveFailed = false;
+
+    this.start(user);
+
+    // Commands from the player (not the ones the game sends itself)
+    bus.subscribe(({ command, source, confidence, details }) => {
+      if (source === 'world') return;
+      const event = { command, source, confidence };
+      if (details.speechDetectedAt !== undefined) {
+        event.latencyMs = Math.round(performance.now() - details.speechDetectedAt);
+      }
+      this.record('command', event);
+    });
+
+    for (const [type, getOutcome] of Object.entries(OUTCOME_EVENTS)) {
+      world.on(type, detail => this.record('outcome', { event: type, outcome: getOutcome(detail) }));
+    }
+  }
+
+  /**
+   * Begin a new session for a user
+   * @param {string|null} user - Profile name
+   */
+  start(user) {
+    this.session = {
+      id: undefined,
+      user: user || GUEST_USER,
+      startedAt: new Date().toISOString(),
+      endedAt: null
+    };
+    this.startTime = performance.now();
+    this.events = [];
+    console.log(`📋 Recording session for ${this.session.user}`);
+  }
+
+  /**
+   * The active profile changed: the next session belongs to them
+   */
+  setUser(user) {
+    if ((user || GUEST_USER) === this.session.user) return;
+    this.start(user);
+  }
+
+  /**
+   * Record a finished utterance (see SpeechRecognition's and
+   * VocalizationRecognition's onUtterance)
+   */
+  recordUtterance({ source = 'voice', transcript, alternatives, command, confidence, outcome, latencyMs }) {
+    this.record('utterance', { source, transcript, alternatives, command, confidence, outcome, latencyMs });
+  }
+
+  /**
+   * Record something that happened in this session
+   * @param {string} type - 'utterance', 'command', 'outcome' or 'route'
+   * @param {object} fields - What to keep about it
+   */
+  record(type, fields) {
+    const session = this.session;
+    const event = {
+      type,
+      at: new Date().toISOString(),
+      elapsedMs: Math.round(performance.now() - this.startTime),
+      ...fields
+    };
+    this.events.push(event);
+    session.endedAt = event.at;
+
+    // Writes go one after another, so the session exists before its events
+    this.saving = this.saving
+      .then(async () => {
+        if (session.id === undefined) session.id = await this.store.addSession(session);
+        else await this.store.saveSession(session);
+        await this.store.addEvent({ ...event, session: session.id });
+      })
+      .catch(error => {
+        if (!this.saveFailed) console.warn('📋 Could not save session history:', error.message);
+        this.saveFailed = true;
+      });
+  }
+}
+
+/**
+ * Headline numbers for one session
+ * @param {object[]} events - The session's recorded events
+ */
+export function summarizeSession(events) {
+  const utterances = events.filter(event => event.type === 'utterance');
+  const understood = utterances.filter(event => event.outcome === 'command' || event.outcome === 'early');
+  const voiceCommands = events.filter(event => event.type === 'command' && event.latencyMs !== undefined);
+
+  const outcomes = {};
+  for (const event of events) {
+    if (event.type !== 'outcome') continue;
+    const key = `${event.event}:${event.outcome}`;
+    outcomes[key] = (outcomes[key] || 0) + 1;
+  }
+
+  const average = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+  const confidence = average(understood.map(event => event.confidence));
+  const latency = average(voiceCommands.map(event => event.latencyMs));
+
+  return {
+    utterances: utterances.length,
+    understood: understood.length,
+    suggestions: utterances.filter(event => event.outcome === 'suggestion').length,
+    notUnderstood: utterances.filter(event => event.outcome === 'none').length,
+    understoodRate: utterances.length ? understood.length / utterances.length : null,
+    averageConfidence: confidence === null ? null : Math.round(confidence * 100) / 100,
+    averageLatencyMs: latency === null ? null : Math.round(latency),
+    commands: events.filter(event => event.type === 'command').length,
+    outcomes
+  };
+}
+
+/**
+ * A user's history as JSON: sessions with their summaries and events
+ * @param {string} user - Whose history it is
+ * @param {{session: object, events: object[]}[]} history - Sessions with their events
+ */
+export function historyToJSON(user, history) {
+  return JSON.stringify({
+    version: EXPORT_VERSION,
+    user,
+    exportedAt: new Date().toISOString(),
+    sessions: history.map(({ session, events }) => ({
+      ...session,
+      summary: summarizeSession(events),
+      events: events.map(({ id, session: sessionId, ...event }) => event)
+    }))
+  }, null, 2);
+}
+
+const CSV_COLUMNS = [
+  'user', 'session', 'sessionStart', 'at', 'elapsedMs', 'type', 'transcript', 'alternatives',
+  'command', 'confidence', 'outcome', 'latencyMs', 'source', 'event', 'route'
+];
+
+/**
+ * One CSV cell; text that a spreadsheet would run as a formula is kept as text
+ */
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  let text = Array.isArray(value) ? value.join(' | ') : String(value);
+  if (typeof value !== 'number' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * A user's history as CSV, one row per recorded event
+ * @param {string} user - Whose history it is
+ * @param {{session: object, events: object[]}[]} history - Sessions with their events
+ */
+export function historyToCSV(user, history) {
+  const rows = [CSV_COLUMNS.join(',')];
+  for (const { session, events } of history) {
+    for (const event of events) {
+      const row = { ...event, user, session: session.id, sessionStart: session.startedAt };
+      rows.push(CSV_COLUMNS.map(column => csvCell(row[column])).join(','));
+    }
+  }
+  return rows.join('\n');
+}
@@ -0,0 +1,266 @@
+/**
+ * Sensory Settings Module
+ * Caregiver controls for how the game listens (words or sounds) and how
+ * intense it feels: game speed, hazards, feedback tones, warning colours and
+ * motion. Saved in localStorage.
+ */
+
+const STORAGE_KEY = 'voiceGame.settings';
+
+export const DEFAULT_SETTINGS = {
+  listenFor: 'words',    // 'words' (speech) or 'sounds' (hums, pops, glides); never both at once
+  gameSpeed: 1,          // Simulation speed (0.5 = half speed)
+  hazardFrequency: 1,    // Multiplies how often hazards spawn
+  hazards: { dog: true, stone: true, train: true }, // Which hazards appear at all
+  friendlyDog: false,    // The dog comes as a friend instead of chasing
+  volume: 0.5,           // Feedback tone volume (0 = silent)
+  tone: 'soft',          // Key of FEEDBACK_TONES
+  warningIntensity: 1,   // 0 = warnings look like any message, 1 = full red/orange
+  reducedMotion: 'auto'  // 'auto' follows the system setting, or 'on' / 'off'
+};
+
+// Entity types each hazard switch covers (a level crossing is part of the train)
+export const HAZARD_TYPES = {
+  dog: ['dog'],
+  stone: ['stone'],
+  train: ['train', 'crossing']
+};
+
+// Oscillator waveform and pitch multiplier for command feedback
+export const FEEDBACK_TONES = {
+  soft: { type: 'sine', pitch: 1 },
+  low: { type: 'sine', pitch: 0.5 },
+  clear: { type: 'triangle', pitch: 1 }
+};
+
+export class SensorySettings {
+  constructor(storage = window.localStorage) {
+    this.storage = storage;
+    this.listeners = [];
+    this.values = this.load();
+
+    // The system "reduce motion" preference, followed while set to 'auto'
+    this.motionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+    if (this.motionQuery && this.motionQuery.addEventListener) {
+      this.motionQuery.addEventListener('change', () => this.notify());
+    }
+  }
+
+  /**
+   * Read saved settings over the defaults
+   */
+  load() {
+    let saved = {};
+    try {
+      saved = JSON.parse(this.storage.getItem(STORAGE_KEY)) || {};
+    } catch (e) {
+      console.warn('Could not read saved settings, using defaults');
+    }
+    return {
+      ...DEFAULT_SETTINGS,
+      ...saved,
+      hazards: { ...DEFAULT_SETTINGS.hazards, ...saved.hazards }
+    };
+  }
+
+  /**
+   * Save settings
+   */
+  persist() {
+    try {
+      this.storage.setItem(STORAGE_KEY, JSON.stringify(this.values));
+    } catch (e) {
+      // Storage unavailable (private mode) - settings just won't persist
+    }
+  }
+
+  /**
+   * Current value of one setting
+   */
+  get(key) {
+    return this.values[key];
+  }
+
+  /**
+   * Change some settings, save them and notify listeners
+   * @param {object} changes - e.g. { volume: 0.2 } or { hazards: { dog: false } }
+   */
+  set(changes) {
+    this.values = {
+      ...this.values,
+      ...changes,
+      hazards: { ...this.values.hazards, ...changes.hazards }
+    };
+    this.persist();
+    this.notify();
+  }
+
+  /**
+   * Back to the defaults
+   */
+  reset() {
+    this.values = { ...DEFAULT_SETTINGS, hazards: { ...DEFAULT_SETTINGS.hazards } };
+    this.persist();
+    this.notify();
+  }
+
+  /**
+   * Whether motion should be reduced (the caregiver's choice, else the system's)
+   */
+  reducesMotion() {
+    if (this.values.reducedMotion === 'on') return true;
+    if (this.values.reducedMotion === 'off') return false;
+    return Boolean(this.motionQuery && this.motionQuery.matches);
+  }
+
+  /**
+   * Call a function with the settings whenever they change
+   */
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * Tell listeners about a change
+   */
+  notify() {
+    this.listeners.forEach(listener => listener(this));
+  }
+}
+
+export class SettingsPanel {
+  /**
+   * @param {object} options
+   * @param {HTMLElement} options.panel - The #settingsPanel element
+   * @param {SensorySettings} options.settings - Settings to edit
+   * @param {Function} options.onPreview - Plays a sample feedback tone
+   */
+  constructor({ panel, settings, onPreview }) {
+    this.panel = panel;
+    this.settings = settings;
+    this.onPreview = onPreview;
+
+    this.speedInput = panel.querySelector('#settingsSpeed');
+    this.speedLabel = panel.querySelector('#settingsSpeedLabel');
+    this.frequencyInput = panel.querySelector('#settingsHazardFrequency');
+    this.frequencyLabel = panel.querySelector('#settingsHazardFrequencyLabel');
+    this.hazardInputs = [...panel.querySelectorAll('[data-hazard]')];
+    this.friendlyDogInput = panel.querySelector('#settingsFriendlyDog');
+    this.volumeInput = panel.querySelector('#settingsVolume');
+    this.volumeLabel = panel.querySelector('#settingsVolumeLabel');
+    this.toneSelect = panel.querySelector('#settingsTone');
+    this.warningInput = panel.querySelector('#settingsWarning');
+    this.warningLabel = panel.querySelector('#settingsWarningLabel');
+    this.motionSelect = panel.querySelector('#settingsMotion');
+    this.listenForSelect = panel.querySelector('#settingsListenFor');
+
+    this.bindEvents();
+    this.render();
+  }
+
+  /**
+   * Wire up panel controls
+   */
+  bindEvents() {
+    this.panel.querySelector('[data-close]').addEventListener('click', () => this.close());
+
+    const ranges = [
+      [this.speedInput, 'gameSpeed'],
+      [this.frequencyInput, 'hazardFrequency'],
+      [this.volumeInput, 'volume'],
+      [this.warningInput, 'warningIntensity']
+    ];
+    for (const [input, key] of ranges) {
+      input.addEventListener('input', () => this.settings.set({ [key]: Number(input.value) }));
+    }
+
+    for (const input of this.hazardInputs) {
+      input.addEventListener('change', () => {
+        this.settings.set({ hazards: { [input.dataset.hazard]: input.checked } });
+      });
+    }
+
+    this.friendlyDogInput.addEventListener('change', () => {
+      this.settings.set({ friendlyDog: this.friendlyDogInput.checked });
+    });
+
+    this.toneSelect.addEventListener('change', () => {
+      this.settings.set({ tone: this.toneSelect.value });
+      this.onPreview();
+    });
+    this.volumeInput.addEventListener('change', () => this.onPreview());
+    this.panel.querySelector('#settingsTonePreview').addEventListener('click', () => this.onPreview());
+
+    this.motionSelect.addEventListener('change', () => {
+      this.settings.set({ reducedMotion: this.motionSelect.value });
+    });
+
+    this.listenForSelect.addEventListener('change', () => {
+      this.settings.set({ listenFor: this.listenForSelect.value });
+    });
+
+    this.panel.querySelector('#settingsReset').addEventListener('click', () => {
+      this.settings.reset();
+      this.render();
+    });
+
+    this.settings.onChange(() => this.renderLabels());
+  }
+
+  /**
+   * Show the panel
+   */
+  open() {
+    this.render();
+    this.panel.hidden = false;
+  }
+
+  /**
+   * Hide the panel
+   */
+  close() {
+    this.panel.hidden = true;
+  }
+
+  /**
+   * Toggle panel visibility
+   */
+  toggle() {
+    if (this.panel.hidden) {
+      this.open();
+    } else {
+      this.close();
+    }
+  }
+
+  /**
+   * Reflect the current settings
+   */
+  render() {
+    const { values } = this.settings;
+    this.speedInput.value = values.gameSpeed;
+    this.frequencyInput.value = values.hazardFrequency;
+    this.volumeInput.value = values.volume;
+    this.warningInput.value = values.warningIntensity;
+    this.toneSelect.value = values.tone;
+    this.motionSelect.value = values.reducedMotion;
+    this.listenForSelect.value = values.listenFor;
+    for (const input of this.hazardInputs) {
+      input.checked = values.hazards[input.dataset.hazard] !== false;
+    }
+    this.friendlyDogInput.checked = values.friendlyDog;
+    this.renderLabels();
+  }
+
+  /**
+   * Readable values next to the sliders
+   */
+  renderLabels() {
+    const { values } = this.settings;
+    this.speedLabel.textContent = `${Math.round(values.gameSpeed * 100)}%`;
+    this.frequencyLabel.textContent = `${values.hazardFrequency}×`;
+    this.volumeLabel.textContent = values.volume > 0 ? `${Math.round(values.volume * 100)}%` : 'off';
+    this.warningLabel.textContent = `${Math.round(values.warningIntensity * 100)}%`;
+    this.frequencyInput.disabled = !Object.values(values.hazards).some(Boolean);
+  }
+}
@@ -3,23 +3,49 @@
  * Handles voice input using the Web Speech API
  */
 
+import { matchCommand, findModifier } from './matching.js';
+import { getLocale } from './locales.js';
+
 export class SpeechRecognition {
-  constructor(onCommand, onStatusChange) {
+  /**
+   * @param {Function} onCommand - Called with (command, match) for confident matches
+   * @param {Function} onStatusChange - Called with {listening, error}
+   * @param {object} options
+   * @param {Function} options.onSuggestion - Called with a match that was close but not confident
+   * @param {Function} options.onUtterance - Called once per final transcript with what it was
+   *   taken as: { transcript, alternatives, command, confidence, outcome, latencyMs }
+   * @param {number} options.threshold - Minimum confidence to act on a command (0..1)
+   * @param {number} options.suggestThreshold - Minimum confidence to offer "did you mean"
+   * @param {boolean} options.fireOnInterim - Act on interim results before the final transcript
+   * @param {number} options.interimThreshold - Minimum similarity to act on an interim result
+   * @param {CommandRegistry} options.registry - Enabled commands and caregiver words
+   */
+  constructor(onCommand, onStatusChange, options = {}) {
     this.onCommand = onCommand;
     this.onStatusChange = onStatusChange;
+    this.onSuggestion = options.onSuggestion || (() => {});
+    this.onUtterance = options.onUtterance || (() => {});
+    this.threshold = options.threshold ?? 0.6;
+    this.suggestThreshold = options.suggestThreshold ?? 0.5;
+    this.fireOnInterim = options.fireOnInterim ?? false;
+    this.interimThreshold = options.interimThreshold ?? 0.8;
+
+    // Per-session bookkeeping, keyed by result index (cleared on each start)
+    this.firedResults = new Map();  // Command already fired from an interim result
+    this.resultSeenAt = new Map();  // When each utterance was first heard
     this.recognition = null;
     this.isListening = false;
     this.isSupported = this.checkSupport();
     
-    // Supported commands and their aliases
-    this.commands = {
-      walk: ['walk', 'walking', 'stroll'],
-      run: ['run', 'running', 'sprint', 'fast'],
-      stop: ['stop', 'halt', 'freeze', 'stand'],
-      jump: ['jump', 'jumping', 'hop', 'leap'],
-      wave: ['wave', 'waving', 'hello', 'hi', 'bye'],
-      dance: ['dance', 'dancing', 'party', 'groove']
-    };
+    // Supported commands and their aliases (active language + caregiver words)
+    this.registry = options.registry || null;
+    this.locale = getLocale();
+    this.baseCommands = this.getBaseVocabulary();
+    this.commands = this.baseCommands;
+    this.profile = null;
+
+    // Pending calibration recording ({resolve, timeout})
+    this.capture = null;
     
     if (this.isSupported) {
       this.init();
@@ -34,6 +60,69 @@ export class SpeechRecognition {
     return !!SpeechRecognitionAPI;
   }
   
+  /**
+   * Add a user profile's own words to the command aliases
+   */
+  applyProfile(profile) {
+    this.profile = profile;
+    this.commands = {};
+    for (const [command, aliases] of Object.entries(this.baseCommands)) {
+      const extra = (profile && profile.words[command]) || [];
+      this.commands[command] = [...new Set([...aliases, ...extra])];
+    }
+    console.log(`🎤 Speech profile: ${profile ? profile.name : 'default'}`);
+  }
+
+  /**
+   * Command aliases before any user profile is added
+   */
+  getBaseVocabulary() {
+    return this.registry ? this.registry.getVocabulary(this.locale) : this.locale.commands;
+  }
+  
+  /**
+   * Rebuild aliases after the command registry changes
+   */
+  refreshVocabulary() {
+    this.baseCommands = this.getBaseVocabulary();
+    this.applyProfile(this.profile);
+  }
+  
+  /**
+   * Switch recognition language and vocabulary
+   */
+  setLocale(locale) {
+    this.locale = locale;
+    this.refreshVocabulary();
+    
+    if (this.recognition) {
+      this.recognition.lang = locale.lang;
+      // The new language only applies to the next session; onend restarts it
+      if (this.isListening) {
+        this.recognition.abort();
+      }
+    }
+  }
+  
+  /**
+   * Record the next thing said instead of acting on it (for calibration)
+   * @param {number} timeoutMs - Give up if nothing is heard
+   * @returns {Promise<string[]>} Transcripts of all recognizer alternatives
+   */
+  recordSample(timeoutMs = 6000) {
+    if (!this.isListening && !this.start()) {
+      return Promise.reject(new Error('Speech recognition is not available'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        this.capture = null;
+        reject(new Error('Nothing heard'));
+      }, timeoutMs);
+      this.capture = { resolve, timeout };
+    });
+  }
+
   /**
    * Initialize the speech recognition
    */
@@ -44,12 +133,15 @@ export class SpeechRecognition {
     // Configuration
     this.recognition.continuous = true;
     this.recognition.interimResults = true;
-    this.recognition.lang = 'en-US';
+    this.recognition.lang = this.locale.lang;
     this.recognition.maxAlternatives = 3;
     
     // Event handlers
     this.recognition.onstart = () => {
       this.isListening = true;
+      // Result indexes restart with each session
+      this.firedResults.clear();
+      this.resultSeenAt.clear();
       this.onStatusChange({ listening: true, error: null });
       console.log('🎤 Speech recognition started');
     };
@@ -91,39 +183,116 @@ export class SpeechRecognition {
     };
     
     this.recognition.onresult = (event) => {
-      // Get the latest result
-      const lastResult = event.results[event.results.length - 1];
-      
-      if (lastResult.isFinal) {
-        const transcript = lastResult[0].transcript.toLowerCase().trim();
-        console.log('📝 Heard:', transcript);
-        
-        // Check for matching command
-        const command = this.parseCommand(transcript);
-        if (command) {
-          console.log('✅ Command recognized:', command);
-          this.onCommand(command);
-        }
+      // Walk every result that changed in this event
+      for (let i = event.resultIndex; i < event.results.length; i++) {
+        this.handleResult(event.results[i], i);
       }
     };
   }
   
   /**
-   * Parse transcript for known commands
+   * Act on one (interim or final) recognition result
+   * @param {SpeechRecognitionResult} result - Alternatives plus isFinal flag
+   * @param {number} index - Result index within the current session
    */
-  parseCommand(transcript) {
-    // Check each word in the transcript
-    const words = transcript.split(' ');
-    
-    for (const word of words) {
-      for (const [command, aliases] of Object.entries(this.commands)) {
-        if (aliases.includes(word)) {
-          return command;
-        }
+  handleResult(result, index) {
+    if (this.capture) {
+      if (result.isFinal) {
+        const { resolve, timeout } = this.capture;
+        clearTimeout(timeout);
+        this.capture = null;
+        resolve(Array.from(result, alternative => alternative.transcript.toLowerCase().trim()));
       }
+      return;
+    }
+    
+    // The first result for an utterance is the earliest sign of speech we get
+    if (!this.resultSeenAt.has(index)) {
+      this.resultSeenAt.set(index, performance.now());
     }
     
-    return null;
+    if (!result.isFinal && !this.fireOnInterim) return;
+    
+    if (result.isFinal) {
+      console.log('📝 Heard:', result[0].transcript.toLowerCase().trim());
+    }
+    
+    // Check all alternatives for a matching command
+    const match = this.parseCommand(Array.from(result));
+    if (!match) {
+      if (result.isFinal) this.reportUtterance(result, index, null, 'none');
+      return;
+    }
+    
+    match.interim = !result.isFinal;
+    match.speechDetectedAt = this.resultSeenAt.get(index);
+    match.recognizedAt = performance.now();
+    
+    const fired = this.firedResults.get(index);
+    
+    if (!result.isFinal) {
+      // Only act early on a close hit, and only once per utterance. Interim
+      // results carry no real confidence, so judge the words alone
+      if (fired || match.similarity < this.interimThreshold) return;
+      this.firedResults.set(index, match.command);
+      console.log(`⚡ Command recognized early: ${match.command} (${match.confidence.toFixed(2)})`);
+      this.onCommand(match.command, match);
+      return;
+    }
+    
+    // An interim result already acted on this utterance
+    if (fired && (fired === match.command || match.confidence < this.threshold)) {
+      this.reportUtterance(result, index, { ...match, command: fired }, 'early');
+      return;
+    }
+    
+    if (match.confidence >= this.threshold) {
+      console.log(`✅ Command recognized: ${match.command} (${match.confidence.toFixed(2)})`);
+      this.onCommand(match.command, match);
+      this.reportUtterance(result, index, match, 'command');
+    } else if (match.confidence >= this.suggestThreshold) {
+      console.log(`🤔 Did you mean: ${match.command}? (${match.confidence.toFixed(2)})`);
+      this.onSuggestion(match);
+      this.reportUtterance(result, index, match, 'suggestion');
+    } else {
+      this.reportUtterance(result, index, match, 'none');
+    }
+  }
+  
+  /**
+   * Tell the listener what a finished utterance was taken as
+   * @param {object|null} match - Closest command (null if nothing came close)
+   * @param {string} outcome - 'command' (acted on), 'early' (acted on from an interim
+   *   result), 'suggestion' ("did you mean"), or 'none'
+   */
+  reportUtterance(result, index, match, outcome) {
+    const alternatives = Array.from(result, alternative => alternative.transcript.toLowerCase().trim());
+    this.onUtterance({
+      transcript: match ? match.transcript : alternatives[0],
+      alternatives,
+      command: outcome === 'none' ? null : match.command,
+      confidence: match ? match.confidence : 0,
+      outcome,
+      // From the first sign of speech to the final transcript
+      latencyMs: Math.round(performance.now() - this.resultSeenAt.get(index))
+    });
+  }
+  
+  /**
+   * Parse recognizer alternatives for the closest known command
+   * @param {Array<{transcript: string, confidence: number}>|string} alternatives - Results or a single transcript
+   * @returns {{command: string, confidence: number, transcript: string}|null} Best match, even if weak
+   */
+  parseCommand(alternatives) {
+    if (typeof alternatives === 'string') {
+      alternatives = [{ transcript: alternatives, confidence: 1 }];
+    }
+    const match = matchCommand(alternatives, this.commands);
+    if (match) {
+      // "small jump" / "big jump"
+      match.size = findModifier(match.transcript, this.locale.sizes);
+    }
+    return match;
   }
   
   /**
@@ -143,6 +312,8 @@ export class SpeechRecognition {
       this.recognition.start();
       return true;
     } catch (error) {
+      // Still winding down after stop(): onend starts it again now we're listening
+      if (error.name === 'InvalidStateError') return true;
       console.error('Failed to start speech recognition:', error);
       this.isListening = false;
       return false;
@@ -0,0 +1,148 @@
+/**
+ * Vocabulary Panel
+ * Caregiver settings for switching commands on/off and adding a child's own words
+ */
+
+import { commandLabel } from './locales.js';
+
+export class VocabularyPanel {
+  /**
+   * @param {object} options
+   * @param {HTMLElement} options.panel - The #vocabularyPanel element
+   * @param {CommandRegistry} options.registry - Commands to edit
+   */
+  constructor({ panel, registry }) {
+    this.panel = panel;
+    this.registry = registry;
+
+    this.commandList = panel.querySelector('#vocabularyCommands');
+    this.status = panel.querySelector('#vocabularyStatus');
+
+    this.bindEvents();
+    this.render();
+  }
+
+  /**
+   * Wire up panel controls (rows are re-rendered, so delegate)
+   */
+  bindEvents() {
+    this.panel.querySelector('[data-close]').addEventListener('click', () => this.close());
+
+    this.commandList.addEventListener('change', (e) => {
+      if (e.target.matches('input[type="checkbox"]')) {
+        this.registry.setEnabled(e.target.dataset.command, e.target.checked);
+        this.render();
+      }
+    });
+
+    this.commandList.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-action]');
+      if (!button) return;
+      const { action, command, word } = button.dataset;
+      if (action === 'add') this.addAlias(command);
+      if (action === 'remove') {
+        this.registry.removeAlias(command, word);
+        this.setStatus(`Removed "${word}".`);
+        this.render();
+      }
+    });
+
+    // Enter in a word box adds it
+    this.commandList.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && e.target.matches('input[type="text"]')) {
+        this.addAlias(e.target.dataset.command);
+      }
+    });
+  }
+
+  /**
+   * Show the panel
+   */
+  open() {
+    this.render();
+    this.panel.hidden = false;
+  }
+
+  /**
+   * Hide the panel
+   */
+  close() {
+    this.panel.hidden = true;
+  }
+
+  /**
+   * Toggle panel visibility
+   */
+  toggle() {
+    if (this.panel.hidden) {
+      this.open();
+    } else {
+      this.close();
+    }
+  }
+
+  /**
+   * Update the status line
+   */
+  setStatus(message) {
+    this.status.textContent = message;
+  }
+
+  /**
+   * Bind the word typed in a command's row
+   */
+  addAlias(command) {
+    const input = this.commandList.querySelector(`input[type="text"][data-command="${command}"]`);
+    try {
+      const alias = this.registry.addAlias(command, input.value);
+      this.setStatus(`"${alias}" now means ${command}.`);
+      this.render();
+    } catch (error) {
+      this.setStatus(error.message);
+    }
+  }
+
+  /**
+   * Redraw one row per command
+   */
+  render() {
+    this.commandList.innerHTML = '';
+
+    for (const command of this.registry.list()) {
+      const definition = this.registry.get(command);
+      const enabled = this.registry.isEnabled(command);
+
+      const row = document.createElement('div');
+      row.className = 'vocabulary-row';
+      row.classList.toggle('disabled', !enabled);
+      row.innerHTML = `
+        <label class="vocabulary-command">
+          <input type="checkbox" data-command="${command}" ${enabled ? 'checked' : ''}>
+          <span>${definition.emoji}</span>
+          <span class="vocabulary-label"></span>
+        </label>
+        <span class="vocabulary-aliases"></span>
+        <span class="vocabulary-add">
+          <input type="text" data-command="${command}" placeholder="New word">
+          <button data-action="add" data-command="${command}">Add</button>
+        </span>
+      `;
+      row.querySelector('.vocabulary-label').textContent = commandLabel(command);
+
+      // Caregiver words go in as text, never as markup
+      const aliases = row.querySelector('.vocabulary-aliases');
+      for (const word of this.registry.getCustomAliases(command)) {
+        const chip = document.createElement('button');
+        chip.className = 'alias-chip';
+        chip.dataset.action = 'remove';
+        chip.dataset.command = command;
+        chip.dataset.word = word;
+        chip.title = 'Remove';
+        chip.textContent = `${word} ✕`;
+        aliases.appendChild(chip);
+      }
+
+      this.commandList.appendChild(row);
+    }
+  }
+}
@@ -0,0 +1,560 @@
+/**
+ * Vocalization Recognition Module
+ * Turns non-verbal sounds (hums, pops, pitch glides, loud bursts) into
+ * game commands using the Web Audio API
+ */
+
+// Analysis frame size in samples (matches AnalyserNode fftSize)
+const FRAME_SIZE = 2048;
+
+// Pitch search range for human vocalizations (Hz)
+const MIN_PITCH = 80;
+const MAX_PITCH = 800;
+
+/**
+ * Root-mean-square loudness of a block of samples
+ */
+export function getRms(samples) {
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) {
+    sum += samples[i] * samples[i];
+  }
+  return Math.sqrt(sum / samples.length);
+}
+
+/**
+ * Estimate the fundamental pitch of a frame using normalized autocorrelation
+ * @param {Float32Array} samples - Time-domain samples
+ * @param {number} sampleRate - Samples per second
+ * @returns {number} Pitch in Hz, or 0 if the frame is not voiced
+ */
+export function detectPitch(samples, sampleRate) {
+  const minLag = Math.floor(sampleRate / MAX_PITCH);
+  const maxLag = Math.min(Math.floor(sampleRate / MIN_PITCH), samples.length - 1);
+  const correlations = new Float32Array(maxLag + 1);
+  let best = 0;
+
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    let sum = 0;
+    let energyA = 0;
+    let energyB = 0;
+    for (let i = 0; i + lag < samples.length; i++) {
+      sum += samples[i] * samples[i + lag];
+      energyA += samples[i] * samples[i];
+      energyB += samples[i + lag] * samples[i + lag];
+    }
+    const norm = Math.sqrt(energyA * energyB);
+    correlations[lag] = norm > 0 ? sum / norm : 0;
+    if (correlations[lag] > best) best = correlations[lag];
+  }
+
+  // Not periodic enough to be a voiced sound
+  if (best < 0.8) return 0;
+
+  // Take the first strong peak to avoid octave errors
+  for (let lag = minLag + 1; lag < maxLag; lag++) {
+    const c = correlations[lag];
+    if (c >= best * 0.95 && c >= correlations[lag - 1] && c >= correlations[lag + 1]) {
+      return sampleRate / lag;
+    }
+  }
+
+  return 0;
+}
+
+/**
+ * Extract the features the classifier needs from one frame
+ */
+export function analyzeFrame(samples, sampleRate, minPitchRms = 0) {
+  const rms = getRms(samples);
+  // Skip the expensive pitch search on silence
+  const pitch = rms >= minPitchRms ? detectPitch(samples, sampleRate) : 0;
+  return { rms, pitch };
+}
+
+/**
+ * Create a synthetic test sound (for debugging without a microphone)
+ * @param {string} type - 'hum', 'pop', 'rising', 'falling' or 'burst'
+ * @param {number} sampleRate - Samples per second
+ * @returns {Float32Array} Samples including leading and trailing silence
+ */
+export function synthesizeSound(type, sampleRate = 44100) {
+  const shapes = {
+    hum: { duration: 0.8, from: 180, to: 180, amplitude: 0.2 },
+    pop: { duration: 0.05, from: 0, to: 0, amplitude: 0.6 },
+    rising: { duration: 0.6, from: 200, to: 400, amplitude: 0.2 },
+    falling: { duration: 0.6, from: 400, to: 200, amplitude: 0.2 },
+    burst: { duration: 0.4, from: 0, to: 0, amplitude: 0.7 }
+  };
+  const shape = shapes[type];
+  if (!shape) throw new Error(`Unknown sound type: ${type}`);
+
+  const silence = Math.floor(sampleRate * 0.3);
+  const length = Math.floor(sampleRate * shape.duration);
+  const samples = new Float32Array(silence + length + silence);
+  let phase = 0;
+
+  for (let i = 0; i < length; i++) {
+    const progress = i / length;
+    let value;
+    if (shape.from > 0) {
+      const frequency = shape.from + (shape.to - shape.from) * progress;
+      phase += (2 * Math.PI * frequency) / sampleRate;
+      value = Math.sin(phase);
+    } else {
+      // Noise for unvoiced sounds (claps, shouts)
+      value = Math.random() * 2 - 1;
+    }
+    samples[silence + i] = value * shape.amplitude;
+  }
+
+  return samples;
+}
+
+/**
+ * Segments a stream of frame features into sound events and classifies them
+ */
+export class VocalizationClassifier {
+  constructor(options = {}) {
+    // Tunable thresholds (RMS is 0..1, durations in ms)
+    this.defaults = {
+      onset: 0.03,         // Loudness that starts a sound
+      release: 0.02,       // Loudness below which a sound has ended
+      releaseTime: 120,    // Quiet time needed to end a sound
+      popMaxDuration: 180, // Anything shorter is a clap/pop
+      popMinPeak: 0.15,    // Pops must be sharp
+      humMinDuration: 400, // Sustained voiced sound
+      burstRms: 0.25,      // Average loudness of a shout/burst
+      burstMinDuration: 200,
+      voicedRatio: 0.6,    // Share of frames with a pitch to count as voiced
+      pitchChange: 0.15,   // Relative pitch change for a rising/falling glide
+      templateDistance: 1.2, // Max distance to a calibrated template
+      ...options
+    };
+    this.thresholds = { ...this.defaults };
+
+    // Calibrated example sounds from a user profile ({command, ...features})
+    this.templates = [];
+
+    this.reset();
+  }
+
+  /**
+   * Use a profile's calibrated thresholds and templates
+   */
+  applyProfile(sounds = {}) {
+    this.thresholds = { ...this.defaults, ...sounds.thresholds };
+    this.templates = sounds.templates || [];
+  }
+
+  /**
+   * Forget any partially heard sound
+   */
+  reset() {
+    this.segment = null;
+    this.quietSince = null;
+  }
+
+  /**
+   * Feed one analysed frame
+   * @param {{rms: number, pitch: number}} features - Output of analyzeFrame
+   * @param {number} time - Frame time in ms
+   * @returns {object|null} The finished segment when a sound has just ended
+   */
+  pushFrame(features, time) {
+    const t = this.thresholds;
+
+    if (!this.segment) {
+      if (features.rms >= t.onset) {
+        this.segment = { start: time, end: time, frames: [features] };
+        this.quietSince = null;
+      }
+      return null;
+    }
+
+    if (features.rms >= t.release) {
+      this.segment.end = time;
+      this.segment.frames.push(features);
+      this.quietSince = null;
+      return null;
+    }
+
+    if (this.quietSince === null) this.quietSince = time;
+    if (time - this.quietSince < t.releaseTime) return null;
+
+    const segment = this.segment;
+    this.reset();
+    return segment;
+  }
+
+  /**
+   * Summarise a finished segment as comparable features
+   */
+  measure(segment) {
+    const frames = segment.frames;
+    // Each frame covers a window, so a single frame still has some length
+    const duration = Math.max(segment.end - segment.start, 1);
+    const peak = Math.max(...frames.map(f => f.rms));
+    const meanRms = frames.reduce((sum, f) => sum + f.rms, 0) / frames.length;
+    const pitched = frames.filter(f => f.pitch > 0);
+    const voiced = pitched.length / frames.length >= this.thresholds.voicedRatio;
+    let pitchSlope = 0;
+
+    if (voiced && pitched.length >= 3) {
+      // Compare the average pitch of the first and last third of the sound
+      const third = Math.max(1, Math.floor(pitched.length / 3));
+      const average = list => list.reduce((sum, f) => sum + f.pitch, 0) / list.length;
+      const startPitch = average(pitched.slice(0, third));
+      const endPitch = average(pitched.slice(-third));
+      pitchSlope = (endPitch - startPitch) / startPitch;
+    }
+
+    return { duration, peak, meanRms, voiced, pitchSlope };
+  }
+
+  /**
+   * Find the calibrated template closest to a sound
+   * @returns {object|null} Template within templateDistance, if any
+   */
+  matchTemplate(features) {
+    let best = null;
+    let bestDistance = Infinity;
+
+    for (const template of this.templates) {
+      // Log ratios so "twice as long" weighs the same for short and long sounds
+      const duration = Math.log(features.duration / template.duration);
+      const loudness = Math.log(features.meanRms / template.meanRms) * 0.5;
+      const slope = (features.pitchSlope - template.pitchSlope) / 0.3;
+      const voicing = features.voiced === template.voiced ? 0 : 1;
+      const distance = Math.sqrt(duration ** 2 + loudness ** 2 + slope ** 2 + voicing ** 2);
+
+      if (distance < bestDistance) {
+        best = template;
+        bestDistance = distance;
+      }
+    }
+
+    return bestDistance <= this.thresholds.templateDistance ? best : null;
+  }
+
+  /**
+   * Whether the profile has recorded sounds for a command
+   */
+  isCalibrated(command) {
+    return this.templates.some(template => template.command === command);
+  }
+
+  /**
+   * Decide what kind of sound a finished segment was
+   */
+  classify(segment) {
+    const features = this.measure(segment);
+
+    // A calibrated profile knows this user's sounds better than the defaults
+    const template = this.matchTemplate(features);
+    if (template) {
+      return { sound: 'template', command: template.command, ...features };
+    }
+
+    return this.classifyByThresholds(features);
+  }
+
+  /**
+   * The built-in sound kinds (pop, glides, burst, hum)
+   */
+  classifyByThresholds(features) {
+    const t = this.thresholds;
+    const { duration, peak, meanRms, voiced, pitchSlope } = features;
+
+    if (duration <= t.popMaxDuration && peak >= t.popMinPeak) {
+      return { sound: 'pop', ...features };
+    }
+
+    if (pitchSlope >= t.pitchChange) return { sound: 'rising', ...features };
+    if (pitchSlope <= -t.pitchChange) return { sound: 'falling', ...features };
+
+    if (meanRms >= t.burstRms && duration >= t.burstMinDuration) {
+      return { sound: 'burst', ...features };
+    }
+
+    if (voiced && duration >= t.humMinDuration) {
+      return { sound: 'hum', ...features };
+    }
+
+    return null;
+  }
+}
+
+export class VocalizationRecognition {
+  /**
+   * @param {Function} onCommand - Called with (command, detection) for recognized sounds
+   * @param {Function} onStatusChange - Called with {listening, error}
+   * @param {object} options
+   * @param {Function} options.onUtterance - Called for every finished sound, acted on or not
+   * @param {CommandRegistry} options.registry - Switched-off commands are not acted on
+   */
+  constructor(onCommand, onStatusChange, options = {}) {
+    this.onCommand = onCommand;
+    this.onStatusChange = onStatusChange;
+    this.onUtterance = options.onUtterance || (() => {});
+    this.registry = options.registry || null;
+    this.isListening = false;
+    this.isSupported = this.checkSupport();
+
+    this.classifier = new VocalizationClassifier();
+
+    // Which sound triggers which command
+    this.soundCommands = {
+      hum: 'walk',
+      burst: 'run',
+      pop: 'jump',
+      rising: 'wave',
+      falling: 'stop'
+    };
+
+    // Peak RMS that counts as full loudness (scales jump height)
+    this.loudPeak = 0.5;
+
+    // Live microphone pipeline
+    this.audioContext = null;
+    this.stream = null;
+    this.analyser = null;
+    this.frame = new Float32Array(FRAME_SIZE);
+    this.pollInterval = null;
+    this.releases = 0;           // Bumped by release(), so a pending start() sees it was stopped
+
+    // Pending calibration recording ({resolve, timeout})
+    this.capture = null;
+  }
+
+  /**
+   * Load a user profile's sound calibration
+   */
+  applyProfile(profile) {
+    this.classifier.applyProfile(profile ? profile.sounds : undefined);
+    console.log(`🔊 Sound profile: ${profile ? profile.name : 'default'}`);
+  }
+
+  /**
+   * Check if microphone capture and Web Audio are available
+   */
+  checkSupport() {
+    const AudioContextAPI = window.AudioContext || window.webkitAudioContext;
+    return !!(AudioContextAPI && navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+  }
+
+  /**
+   * Run a classified sound event through the command mapping
+   * @returns {object|null} Detection with the command it mapped to
+   */
+  handleEvent(event, time) {
+    if (!event) return null;
+
+    const command = event.command || this.soundCommands[event.sound];
+    if (!command) return null;
+    // A calibrated command answers only to this user's recordings, not the built-in sound
+    if (!event.command && this.classifier.isCalibrated(command)) return null;
+    if (this.registry && !this.registry.isEnabled(command)) return null;
+
+    console.log(`🔊 Sound recognized: ${event.sound} → ${command}`);
+    // 0..1, so louder sounds can mean bigger actions
+    const loudness = Math.min(1, event.peak / this.loudPeak);
+    const detection = { command, time, loudness, ...event };
+    this.onCommand(command, detection);
+    return detection;
+  }
+
+  /**
+   * Route a finished segment to a pending recording or to classification
+   */
+  handleSegment(segment, time) {
+    if (!segment) return null;
+
+    if (this.capture) {
+      const { resolve, timeout } = this.capture;
+      clearTimeout(timeout);
+      this.capture = null;
+      resolve(this.classifier.measure(segment));
+      return null;
+    }
+
+    const event = this.classifier.classify(segment);
+    const detection = this.handleEvent(event, time);
+    this.reportUtterance(event, detection, time - segment.start);
+    return detection;
+  }
+
+  /**
+   * Tell the listener what a finished sound was taken as, the way speech
+   * reports utterances, so sounds that missed are on record too
+   * @param {object|null} event - Classified sound (null if it was none we know)
+   * @param {object|null} detection - What it was acted on as (null if nothing)
+   * @param {number} latencyMs - From the start of the sound to acting on it
+   */
+  reportUtterance(event, detection, latencyMs) {
+    this.onUtterance({
+      source: 'sound',
+      transcript: event ? event.sound : 'unknown',
+      alternatives: [],
+      command: detection ? detection.command : null,
+      confidence: detection ? 1 : 0,
+      outcome: detection ? 'command' : 'none',
+      latencyMs: Math.round(latencyMs)
+    });
+  }
+
+  /**
+   * Record the next sound instead of acting on it (for calibration)
+   * @param {number} timeoutMs - Give up if nothing is heard
+   * @returns {Promise<object>} Measured features of the sound
+   */
+  async recordSample(timeoutMs = 5000) {
+    if (!this.isListening && !(await this.start())) {
+      throw new Error('Microphone is not available');
+    }
+
+    return new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        this.capture = null;
+        reject(new Error('No sound heard'));
+      }, timeoutMs);
+      this.classifier.reset();
+      this.capture = { resolve, timeout };
+    });
+  }
+
+  /**
+   * Classify a recorded or synthesized buffer instead of the live microphone
+   * @param {AudioBuffer|Float32Array} buffer - Audio to analyse
+   * @param {number} sampleRate - Needed when passing raw samples
+   * @returns {Array} Detections in the order they were heard
+   */
+  processBuffer(buffer, sampleRate = buffer.sampleRate) {
+    const samples = buffer.getChannelData ? buffer.getChannelData(0) : buffer;
+    const hop = FRAME_SIZE / 2;
+    const detections = [];
+
+    this.classifier.reset();
+
+    // Pad with silence so a sound at the very end is still closed off
+    const releaseSamples = Math.ceil((this.classifier.thresholds.releaseTime / 1000) * sampleRate);
+    const padded = new Float32Array(samples.length + releaseSamples + FRAME_SIZE * 2);
+    padded.set(samples);
+
+    for (let offset = 0; offset + FRAME_SIZE <= padded.length; offset += hop) {
+      const frame = padded.subarray(offset, offset + FRAME_SIZE);
+      const time = (offset / sampleRate) * 1000;
+      const features = analyzeFrame(frame, sampleRate, this.classifier.thresholds.release);
+      const detection = this.handleSegment(this.classifier.pushFrame(features, time), time);
+      if (detection) detections.push(detection);
+    }
+
+    this.classifier.reset();
+    return detections;
+  }
+
+  /**
+   * Analyse the latest microphone frame
+   */
+  poll() {
+    this.analyser.getFloatTimeDomainData(this.frame);
+    const time = performance.now();
+    const features = analyzeFrame(this.frame, this.audioContext.sampleRate, this.classifier.thresholds.release);
+    this.handleSegment(this.classifier.pushFrame(features, time), time);
+  }
+
+  /**
+   * Start listening for sounds
+   */
+  async start() {
+    if (!this.isSupported) {
+      this.onStatusChange({
+        listening: false,
+        error: 'Sound input is not supported in this browser.'
+      });
+      return false;
+    }
+
+    if (this.isListening) return true;
+
+    const releases = this.releases;
+    try {
+      this.isListening = true;
+      // Raw signal: browser voice processing flattens hums and claps
+      const stream = await navigator.mediaDevices.getUserMedia({
+        audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false }
+      });
+
+      // Stopped while the browser was asking for the microphone
+      if (releases !== this.releases) {
+        stream.getTracks().forEach(track => track.stop());
+        return false;
+      }
+      this.stream = stream;
+
+      const AudioContextAPI = window.AudioContext || window.webkitAudioContext;
+      this.audioContext = new AudioContextAPI();
+      this.analyser = this.audioContext.createAnalyser();
+      this.analyser.fftSize = FRAME_SIZE;
+      this.audioContext.createMediaStreamSource(this.stream).connect(this.analyser);
+
+      // Poll at half-frame overlap; timers keep running when rAF would not
+      const hopMs = (FRAME_SIZE / 2 / this.audioContext.sampleRate) * 1000;
+      this.classifier.reset();
+      this.pollInterval = setInterval(() => this.poll(), hopMs);
+
+      this.onStatusChange({ listening: true, error: null });
+      console.log('🔊 Sound recognition started');
+      return true;
+    } catch (error) {
+      if (releases !== this.releases) return false; // Already stopped
+      console.error('Failed to start sound recognition:', error);
+      this.release();
+      this.onStatusChange({
+        listening: false,
+        error: 'Microphone access denied. Please allow microphone access.'
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Release microphone and audio resources
+   */
+  release() {
+    this.isListening = false;
+    this.releases++;
+    if (this.pollInterval) {
+      clearInterval(this.pollInterval);
+      this.pollInterval = null;
+    }
+    if (this.stream) {
+      this.stream.getTracks().forEach(track => track.stop());
+      this.stream = null;
+    }
+    if (this.audioContext) {
+      this.audioContext.close();
+      this.audioContext = null;
+    }
+    this.analyser = null;
+  }
+
+  /**
+   * Stop listening for sounds
+   */
+  stop() {
+    this.release();
+    this.onStatusChange({ listening: false, error: null });
+  }
+
+  /**
+   * Toggle listening state
+   */
+  toggle() {
+    if (this.isListening) {
+      this.stop();
+    } else {
+      this.start();
+    }
+  }
+}
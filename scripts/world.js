@@ -3,72 +3,112 @@
  * Manages NPCs and interactive elements in the scene
  */
 
+import { t } from './locales.js';
+import { ENTITY_TYPES, LAYERS, SPAWN_POOLS } from './entities.js';
+import { SeededRandom } from './random.js';
+import { validateLevel } from './levels.js';
+import { createBox, CollisionTracker } from './collision.js';
+import { HitboxOverlay } from './hitbox-overlay.js';
+
 export class WorldObjects {
-  constructor(character) {
+  /**
+   * @param {Character} character - The player character
+   * @param {CommandBus} bus - Used to hold back commands while tripped
+   * @param {object} options
+   * @param {SeededRandom} options.random - Source of every spawn decision (seed it to replay a walk)
+   */
+  constructor(character, bus, { random = new SeededRandom() } = {}) {
     this.character = character;
+    this.bus = bus;
     this.scene = document.querySelector('.scene');
+    this.random = random;
+
+    // Entity types by name, and the live instances of all of them
+    this.types = {};
     this.objects = [];
-    this.lastSpawnTime = 0;
-    this.spawnInterval = 4000; // Spawn new object every 4 seconds
+    this.nextId = 1;
+
+    // Spawn pools: when each last rolled, how long until the next roll,
+    // and each pool's own random sequence
+    this.pools = {};
+    for (const [name, pool] of Object.entries(SPAWN_POOLS)) {
+      this.addPool(name, pool);
+    }
 
     // Centralized spawn/despawn system constants
     this.OFFSCREEN_MARGIN = 150; // Pixels off-screen before spawn/despawn
     this.SPAWN_RIGHT = 1;  // Object spawns at right edge (moving left or stationary)
     this.SPAWN_LEFT = -1;  // Object spawns at left edge (moving right)
+    // "Ahead" is the character's direction, "behind" its negative
 
-    // Dog state
-    this.dog = null;
-    this.dogX = 0;
-    this.dogSpeed = 200; // Dog runs at 200px/s (between walk and run)
-    this.dogActive = false;
-    this.dogCaughtPlayer = false;
-
-    // Waving person state
-    this.wavingPerson = null;
-    this.wavingPersonX = 0;
-
-    // Stone obstacle state
-    this.stone = null;
-    this.stoneX = 0;
-    this.stoneActive = false;
-    this.stoneHit = false;
+    // Simulation clock (ms), advanced by the game loop
+    this.time = 0;
 
     // Trip state
     this.isTripped = false;
-    this.tripTimeout = null;
-
-    // Airplane state (flies right to left in sky)
-    this.airplane = null;
-    this.airplaneX = 0;
-    this.airplaneSpeed = 250; // pixels per second
-    this.airplaneActive = false;
-    this.lastAirplaneSpawn = 0;
-    this.airplaneSpawnInterval = 15000; // Spawn every 15-25 seconds
-
-    // Train state (goes left to right on tracks)
-    this.train = null;
-    this.trainX = 0;
-    this.trainSpeed = 350; // pixels per second
-    this.trainActive = false;
-    this.lastTrainSpawn = 0;
-    this.trainSpawnInterval = 20000; // Spawn every 20-30 seconds
-    
-    // Create elements
-    this.createDog();
-    this.createWavingPerson();
-    this.createStone();
-    this.createAirplane();
-    this.createTrain();
-    
-    // Start update loop
-    this.lastTimestamp = 0;
-    this.update = this.update.bind(this);
-    requestAnimationFrame(this.update);
+    this.tripDuration = 1500; // Recover after 1.5 seconds
+    this.tripRecoverAt = 0;
+    this.tripResumeState = null;
+
+    // Which entities the player's hitbox is touching; debug drawing of the boxes
+    this.collisions = new CollisionTracker();
+    this.hitboxOverlay = null;
+
+    // Listeners for world events ('greeting', ...), by type
+    this.listeners = {};
+
+    // Calm mode: hazards stay away and the scene is dimmed
+    this.calm = false;
+
+    // Sensory settings: types switched off, and how often hazards spawn (1 = as declared)
+    this.disabledTypes = new Set();
+    this.hazardFrequency = 1;
+    // Types that come as friends instead of hazards (e.g. a friendly dog)
+    this.friendlyTypes = new Set();
+
+    // Authored route being played instead of random spawning (see levels.js)
+    this.level = null;
+    this.messageTimeout = null;
+
+    for (const [name, definition] of Object.entries(ENTITY_TYPES)) {
+      this.registerType(name, definition);
+    }
+  }
+
+  /**
+   * Declare a kind of object (see entities.js for the fields)
+   */
+  registerType(name, definition) {
+    if (!LAYERS[definition.layer]) {
+      throw new Error(`Unknown layer "${definition.layer}" for ${name}`);
+    }
+    this.types[name] = definition;
+  }
+
+  /**
+   * Declare a spawn pool that types can join via `spawn.pool`
+   */
+  addPool(name, { interval, jitter = 0 }) {
+    this.pools[name] = { interval, jitter, last: this.time || 0, wait: interval, random: this.random.fork(name) };
+  }
+
+  /**
+   * Start the world over from a seed: clears every object and restarts the spawn pools
+   * @param {number|string} seed - Same seed, same sequence of spawns
+   */
+  setSeed(seed) {
+    this.random.reset(seed);
+    [...this.objects].forEach(entity => this.despawn(entity));
+    for (const [name, pool] of Object.entries(this.pools)) {
+      this.addPool(name, pool);
+    }
+    console.log(`🎲 World seed: ${this.random.seed}`);
   }
 
   /**
    * Centralized spawn position calculator
-   * @param {number} spawnDirection - SPAWN_RIGHT (1) or SPAWN_LEFT (-1)
+   * @param {number} spawnDirection - SPAWN_RIGHT (1) or SPAWN_LEFT (-1);
+   *   pass character.direction for ahead, -character.direction for behind
    * @returns {number} World X position for spawning
    */
   getSpawnPosition(spawnDirection) {
@@ -95,255 +135,302 @@ export class WorldObjects {
   }
 
   /**
-   * Create the dog element
-   */
-  createDog() {
-    const dogContainer = document.createElement('div');
-    dogContainer.className = 'world-object dog-container';
-    dogContainer.innerHTML = `
-      <div class="dog">
-        <div class="dog-body">
-          <div class="dog-head">
-            <div class="dog-ear left-ear"></div>
-            <div class="dog-ear right-ear"></div>
-            <div class="dog-face">
-              <div class="dog-eye"></div>
-              <div class="dog-nose"></div>
-            </div>
-          </div>
-          <div class="dog-torso"></div>
-          <div class="dog-tail"></div>
-          <div class="dog-leg front-left"></div>
-          <div class="dog-leg front-right"></div>
-          <div class="dog-leg back-left"></div>
-          <div class="dog-leg back-right"></div>
-        </div>
-      </div>
-    `;
-    
-    this.scene.appendChild(dogContainer);
-    this.dog = dogContainer;
-    this.dog.style.display = 'none';
+   * Live instances of one type
+   */
+  getEntities(typeName) {
+    return this.objects.filter(entity => entity.type === typeName);
   }
-  
+
   /**
-   * Create waving person element
-   */
-  createWavingPerson() {
-    const personContainer = document.createElement('div');
-    personContainer.className = 'world-object waving-person-container';
-    personContainer.innerHTML = `
-      <div class="waving-person">
-        <div class="wp-body">
-          <div class="wp-head">
-            <div class="wp-hair"></div>
-            <div class="wp-face">
-              <div class="wp-eye"></div>
-              <div class="wp-smile"></div>
-            </div>
-          </div>
-          <div class="wp-torso"></div>
-          <div class="wp-arm wave-arm"></div>
-          <div class="wp-arm still-arm"></div>
-          <div class="wp-leg left"></div>
-          <div class="wp-leg right"></div>
-        </div>
-      </div>
-    `;
-    
-    this.scene.appendChild(personContainer);
-    this.wavingPerson = personContainer;
-    this.wavingPerson.style.display = 'none';
+   * Where an entity is on screen
+   * @param {number} alpha - Blend between the last two simulation steps (1 = current)
+   */
+  getScreenX(entity, alpha = 1) {
+    const { def } = entity;
+    const offset = def.offsetX ? def.offsetX(entity) : 0;
+    const x = entity.previousX + (entity.x - entity.previousX) * alpha;
+    if (!LAYERS[def.layer].scrolls) return x + offset;
+    return x - this.character.getRenderX(alpha) + (window.innerWidth / 2) + offset;
   }
-  
+
   /**
-   * Create stone obstacle
-   */
-  createStone() {
-    const stoneContainer = document.createElement('div');
-    stoneContainer.className = 'world-object stone-container';
-    stoneContainer.innerHTML = `
-      <div class="stone">
-        <div class="stone-body"></div>
-        <div class="stone-shadow"></div>
-      </div>
-    `;
-    
-    this.scene.appendChild(stoneContainer);
-    this.stone = stoneContainer;
-    this.stone.style.display = 'none';
+   * World-space hitbox of a street entity (null for types without one)
+   * @param {number} alpha - 1 = current step, 0 = previous step
+   */
+  getHitbox(entity, alpha = 1) {
+    const { def } = entity;
+    if (!def.hitbox || !LAYERS[def.layer].scrolls) return null;
+    const x = entity.previousX + (entity.x - entity.previousX) * alpha;
+    return createBox(x, 0, def.hitbox, def.flips ? entity.direction : 1);
   }
-  
+
   /**
-   * Create airplane element
-   */
-  createAirplane() {
-    const airplaneContainer = document.createElement('div');
-    airplaneContainer.className = 'sky-object airplane-container';
-    airplaneContainer.innerHTML = `
-      <div class="airplane">
-        <div class="plane-body"></div>
-        <div class="plane-wing"></div>
-        <div class="plane-tail"></div>
-        <div class="plane-windows"></div>
-        <div class="plane-trail"></div>
-      </div>
-    `;
-    
-    this.scene.appendChild(airplaneContainer);
-    this.airplane = airplaneContainer;
-    this.airplane.style.display = 'none';
+   * Create an instance of a type just off-screen
+   * @param {string} typeName - Key of a registered type
+   * @param {object} options - Overrides: `side` ('ahead', 'behind', 'left', 'right'),
+   *   `x`, and `force` to ignore the type's max/minGap limits
+   * @returns {object|null} The entity, or null if the type's limits forbid another
+   */
+  spawn(typeName, options = {}) {
+    const def = this.types[typeName];
+    if (!def) {
+      console.warn(`Unknown entity type: ${typeName}`);
+      return null;
+    }
+
+    if (this.calm && this.isHazard(typeName)) return null;
+    if (this.disabledTypes.has(typeName)) return null;
+
+    const rule = def.spawn || {};
+    if (!options.force && rule.max && this.getEntities(typeName).length >= rule.max) return null;
+
+    // Which screen edge it enters from (1 = right, -1 = left); it moves away from it
+    const side = options.side || rule.side || 'ahead';
+    let edge;
+    if (side === 'ahead') edge = this.character.direction;
+    else if (side === 'behind') edge = -this.character.direction;
+    else edge = side === 'right' ? this.SPAWN_RIGHT : this.SPAWN_LEFT;
+
+    let x = options.x;
+    if (x === undefined) {
+      if (LAYERS[def.layer].scrolls) {
+        x = this.getSpawnPosition(edge);
+        // x is the sprite's left edge (unless offsetX moves it), so it needs its width to hide
+        if (edge === this.SPAWN_LEFT && !def.offsetX) x -= def.width;
+      } else {
+        x = edge === this.SPAWN_RIGHT ? window.innerWidth + this.OFFSCREEN_MARGIN : -this.OFFSCREEN_MARGIN - def.width;
+      }
+    }
+
+    if (!options.force && rule.minGap && this.getEntities(typeName).some(other => Math.abs(other.x - x) < rule.minGap)) {
+      return null;
+    }
+
+    const element = document.createElement('div');
+    element.className = `${LAYERS[def.layer].className} ${def.className}`;
+    element.innerHTML = def.template;
+    if (def.activeClass) element.classList.add(def.activeClass);
+
+    const entity = {
+      id: this.nextId++,
+      type: typeName,
+      def,
+      element,
+      x,
+      previousX: x,
+      direction: -edge,
+      speed: def.speed || 0,
+      screenX: 0,
+      box: null
+    };
+    if (def.flips) element.classList.toggle('facing-left', entity.direction < 0);
+
+    this.scene.appendChild(element);
+    this.objects.push(entity);
+    entity.box = this.getHitbox(entity);
+    if (def.onSpawn) def.onSpawn(entity, this);
+    entity.screenX = this.getScreenX(entity);
+    this.draw(entity);
+    return entity;
   }
-  
+
   /**
-   * Create train element
-   */
-  createTrain() {
-    const trainContainer = document.createElement('div');
-    trainContainer.className = 'ground-object train-container';
-    trainContainer.innerHTML = `
-      <div class="train">
-        <div class="train-car car2">
-          <div class="car-body"></div>
-          <div class="car-wheels"><div class="wheel"></div><div class="wheel"></div></div>
-        </div>
-        <div class="train-car car1">
-          <div class="car-body"></div>
-          <div class="car-wheels"><div class="wheel"></div><div class="wheel"></div></div>
-        </div>
-        <div class="train-engine">
-          <div class="engine-body"></div>
-          <div class="engine-cabin"></div>
-          <div class="engine-chimney"></div>
-          <div class="engine-wheels">
-            <div class="wheel"></div>
-            <div class="wheel"></div>
-            <div class="wheel big"></div>
-          </div>
-        </div>
-      </div>
-    `;
-    
-    this.scene.appendChild(trainContainer);
-    this.train = trainContainer;
-    this.train.style.display = 'none';
+   * Remove an entity from the world
+   * @param {string} reason - 'offscreen' when it scrolled away, else 'removed'
+   */
+  despawn(entity, reason = 'removed') {
+    const index = this.objects.indexOf(entity);
+    if (index === -1) return;
+
+    this.objects.splice(index, 1);
+    this.collisions.forget(entity.id);
+    entity.element.remove();
+    if (entity.def.onDespawn) entity.def.onDespawn(entity, this, reason);
   }
-  
+
   /**
-   * Spawn airplane (flies right to left)
+   * Position an entity's element
+   * @param {number} alpha - Blend between the last two simulation steps
    */
-  spawnAirplane() {
-    if (this.airplaneActive) return;
+  draw(entity, alpha = 1) {
+    entity.element.style.transform = `translateX(${this.getScreenX(entity, alpha)}px)`;
+  }
 
-    // Airplane starts off-screen to the right (screen coordinates, not world)
-    this.airplaneX = window.innerWidth + this.OFFSCREEN_MARGIN;
-    this.airplaneActive = true;
-    this.airplane.style.display = 'block';
-    this.airplane.classList.add('flying');
+  /**
+   * Listen for world events, e.g. 'greeting' ({ returned, id }) once per pedestrian
+   * @param {string} type - Event type
+   * @param {Function} listener - Called with { type, time, ...detail }
+   * @returns {Function} Unsubscribe
+   */
+  on(type, listener) {
+    this.listeners[type] = [...(this.listeners[type] || []), listener];
+    return () => {
+      this.listeners[type] = this.listeners[type].filter(l => l !== listener);
+    };
+  }
 
-    console.log('✈️ Airplane flying overhead!');
+  /**
+   * Report something that happened in the world (time is the simulation clock)
+   */
+  emit(type, detail = {}) {
+    for (const listener of this.listeners[type] || []) {
+      try {
+        listener({ type, time: this.time, ...detail });
+      } catch (error) {
+        console.error(`World event listener failed (${type}):`, error);
+      }
+    }
   }
-  
+
   /**
-   * Hide airplane
+   * Calm mode: dim the scene and keep hazards (dog, stone, train, crossing) away,
+   * leaving only gentle ambient motion
    */
-  hideAirplane() {
-    this.airplaneActive = false;
-    this.airplane.style.display = 'none';
-    this.airplane.classList.remove('flying');
+  setCalm(calm) {
+    this.calm = calm;
+    this.scene.classList.toggle('calm', calm);
+    if (calm) {
+      this.objects.filter(entity => this.isHazard(entity.type)).forEach(entity => this.despawn(entity));
+      if (!this.isTripped) this.hideFeedback();
+    }
+    console.log(`🌙 Calm mode ${calm ? 'on' : 'off'}`);
   }
-  
+
   /**
-   * Spawn train (goes left to right)
+   * Whether a type is something to avoid (declared a hazard and not made friendly)
    */
-  spawnTrain() {
-    if (this.trainActive) return;
-    
-    // Train starts off-screen to the left
-    this.trainX = -this.OFFSCREEN_MARGIN - 400; // Train is ~400px wide
-    this.trainActive = true;
-    this.train.style.display = 'block';
-    this.train.classList.add('moving');
-    
-    console.log('🚂 Train coming through!');
+  isHazard(typeName) {
+    const def = this.types[typeName];
+    return Boolean(def && def.hazard) && !this.friendlyTypes.has(typeName);
   }
-  
+
   /**
-   * Hide train
+   * Make a hazard type come as a friend (it's up to the type what that means);
+   * takes effect for new instances
    */
-  hideTrain() {
-    this.trainActive = false;
-    this.train.style.display = 'none';
-    this.train.classList.remove('moving');
+  setFriendly(typeName, friendly) {
+    if (friendly) this.friendlyTypes.add(typeName);
+    else this.friendlyTypes.delete(typeName);
   }
-  
+
   /**
-   * Spawn the dog to chase the player
+   * Let a type appear or not; switching one off removes those around
    */
-  spawnDog() {
-    if (this.dogActive) return;
-    
-    // Dog starts off-screen to the left (visible screen edge)
-    this.dogX = this.getSpawnPosition(this.SPAWN_LEFT);
-    this.dogActive = true;
-    this.dogCaughtPlayer = false;
-    this.dog.style.display = 'block';
-    this.dog.classList.add('running');
-    
-    console.log('🐕 Dog is chasing from the left!');
+  setTypeEnabled(typeName, enabled) {
+    if (enabled) {
+      this.disabledTypes.delete(typeName);
+      return;
+    }
+    this.disabledTypes.add(typeName);
+    this.getEntities(typeName).forEach(entity => this.despawn(entity));
   }
-  
+
   /**
-   * Hide the dog
+   * Play an authored route instead of random spawning; clears the street first
+   * @param {object} level - Level data (see levels.js)
+   * @throws {Error} If the level is invalid
    */
-  hideDog() {
-    this.dogActive = false;
-    this.dog.style.display = 'none';
-    this.dog.classList.remove('running', 'caught');
+  loadLevel(level) {
+    const checked = validateLevel(level, Object.keys(this.types));
+    [...this.objects].forEach(entity => this.despawn(entity));
+
+    this.level = {
+      ...checked,
+      events: checked.events.map(event => ({ ...event, done: false })),
+      startX: this.character.worldX,
+      startTime: this.time // Simulation clock
+    };
+    console.log(`🗺️ Level: ${checked.name} (${checked.events.length} events)`);
+    return this.level;
   }
-  
+
   /**
-   * Spawn waving person ahead of player
+   * Stop the route and go back to random spawning
    */
-  spawnWavingPerson() {
-    this.wavingPersonX = this.getSpawnPosition(this.SPAWN_RIGHT);
-    this.wavingPerson.style.display = 'block';
-    this.wavingPerson.classList.add('waving');
-    
-    console.log('👋 Someone is waving!');
+  unloadLevel() {
+    if (!this.level) return;
+    console.log(`🗺️ Level stopped: ${this.level.name}`);
+    this.level = null;
+    for (const pool of Object.values(this.pools)) {
+      pool.last = this.time;
+    }
   }
-  
+
   /**
-   * Hide waving person
+   * Fire level events whose time or distance has come
    */
-  hideWavingPerson() {
-    this.wavingPerson.style.display = 'none';
-    this.wavingPerson.classList.remove('waving');
+  playLevel(time) {
+    const level = this.level;
+    const elapsed = (time - level.startTime) / 1000;
+    const distance = this.character.worldX - level.startX;
+    // Street objects that stand still are placed at x, so they must appear
+    // while x is still just off-screen
+    const viewDistance = (window.innerWidth / 2) + this.OFFSCREEN_MARGIN;
+
+    for (const event of level.events) {
+      if (event.done) continue;
+
+      if (event.time !== undefined) {
+        if (elapsed < event.time) continue;
+      } else {
+        const def = this.types[event.spawn];
+        const placed = def && LAYERS[def.layer].scrolls && !def.speed;
+        const lead = placed ? viewDistance : 0;
+        const reached = event.x >= 0 ? distance >= event.x - lead : distance <= event.x + lead;
+        if (!reached) continue;
+      }
+
+      event.done = true;
+      this.playEvent(event, level);
+    }
+
+    // Done once every event has fired and everything it sent has gone by
+    if (!level.complete && level.events.every(event => event.done) && this.objects.length === 0) {
+      level.complete = true;
+      console.log(`🏁 Level complete: ${level.name}`);
+      this.showMessage(t('levelComplete'));
+    }
   }
-  
+
   /**
-   * Spawn stone obstacle ahead
+   * Carry out one level event
    */
-  spawnStone() {
-    if (this.stoneActive) return;
-    
-    this.stoneX = this.getSpawnPosition(this.SPAWN_RIGHT);
-    this.stoneActive = true;
-    this.stoneHit = false;
-    this.stone.style.display = 'block';
-    
-    console.log('🪨 Stone ahead! Jump!');
-    this.showFeedback('Stone ahead! JUMP!', 'warning');
+  playEvent(event, level) {
+    if (event.message) {
+      this.showMessage(event.message);
+    }
+    if (event.spawn) {
+      const def = this.types[event.spawn];
+      const options = { side: event.side, force: true };
+      if (event.x !== undefined && LAYERS[def.layer].scrolls && !def.speed) {
+        options.x = level.startX + event.x;
+      }
+      this.spawn(event.spawn, options);
+    }
   }
-  
+
   /**
-   * Hide stone
+   * Roll each pool whose interval has passed and spawn at most one type from it
    */
-  hideStone() {
-    this.stoneActive = false;
-    this.stone.style.display = 'none';
+  spawnFromPools(time) {
+    for (const [name, pool] of Object.entries(this.pools)) {
+      if (time - pool.last <= pool.wait) continue;
+      pool.last = time;
+      pool.wait = pool.interval + pool.random.next() * pool.jitter;
+
+      const rand = pool.random.next();
+      let cumulative = 0;
+      for (const [typeName, def] of Object.entries(this.types)) {
+        if (!def.spawn || def.spawn.pool !== name) continue;
+        cumulative += (def.spawn.chance || 0) * (this.isHazard(typeName) ? this.hazardFrequency : 1);
+        if (rand < cumulative) {
+          this.spawn(typeName);
+          break;
+        }
+      }
+    }
   }
-  
+
   /**
    * Trip the player
    */
@@ -353,176 +440,134 @@ export class WorldObjects {
     this.isTripped = true;
     const charElement = document.getElementById('character');
     
-    // Save current state to restore later
-    const savedState = this.character.currentState;
+    // Save current state to restore later (what the player was doing before a jump)
+    const state = this.character.currentState;
+    const savedState = state === 'jump' ? this.character.previousState : state;
     
-    // Add tripped class for animation
+    // Add tripped class for animation; a clipped jump falls straight down
     charElement.classList.add('tripped');
-    this.character.speed = 0;
+    this.bus.publish({ command: 'stop', source: 'world', details: { quiet: true, stumble: true } });
+    
+    // Commands given while down are held until the character gets up
+    // (pausing still works)
+    this.bus.block('trip', { queue: true, allow: ['pause', 'resume'] });
     
     console.log('💥 Tripped on the stone!');
-    this.showFeedback('OUCH! Tripped!', 'danger');
+    this.showFeedback(t('tripped'), 'danger');
     
-    // Recover after 1.5 seconds
-    this.tripTimeout = setTimeout(() => {
-      charElement.classList.remove('tripped');
-      this.isTripped = false;
-      this.hideFeedback();
-      
-      // Resume previous action
-      this.character.setState(savedState);
-      console.log(`🏃 Resuming ${savedState}`);
-    }, 1500);
+    // Recover on the simulation clock, so pausing also pauses the fall
+    this.tripRecoverAt = this.time + this.tripDuration;
+    this.tripResumeState = savedState;
   }
   
   /**
-   * Update loop
+   * Get back up after tripping
    */
-  update(timestamp) {
-    if (!this.lastTimestamp) this.lastTimestamp = timestamp;
-    const deltaTime = (timestamp - this.lastTimestamp) / 1000;
-    this.lastTimestamp = timestamp;
-    
-    const state = this.character.getState();
-    const playerX = this.character.worldX;
-    const playerSpeed = this.character.speed;
-    const isJumping = state === 'jump';
+  recoverFromTrip() {
+    const savedState = this.tripResumeState;
+    document.getElementById('character').classList.remove('tripped');
+    this.isTripped = false;
+    this.tripResumeState = null;
+    this.hideFeedback();
     
-    // Random spawning
-    if (timestamp - this.lastSpawnTime > this.spawnInterval) {
-      this.lastSpawnTime = timestamp;
-      
-      const rand = Math.random();
-      if (rand < 0.25 && !this.dogActive) {
-        this.spawnDog();
-      } else if (rand < 0.5 && this.wavingPerson.style.display === 'none') {
-        this.spawnWavingPerson();
-      } else if (rand < 0.75 && !this.stoneActive) {
-        this.spawnStone();
-      }
+    // Commands given while down take over; otherwise resume the previous action
+    if (this.bus.unblock('trip') === 0) {
+      this.bus.publish({ command: savedState, source: 'world', details: { quiet: true } });
+      console.log(`🏃 Resuming ${savedState}`);
     }
+  }
+  
+  /**
+   * One fixed simulation step (called by the game loop)
+   * @param {number} deltaTime - Step length in seconds
+   * @param {number} time - Simulation clock (ms)
+   */
+  simulate(deltaTime, time) {
+    this.time = time;
     
-    // Update dog position
-    if (this.dogActive) {
-      this.dogX += this.dogSpeed * deltaTime;
-      
-      const dogScreenX = this.dogX - playerX + (window.innerWidth / 2) - 100;
-      this.dog.style.transform = `translateX(${dogScreenX}px)`;
-      
-      if (this.dogX >= playerX - 50 && !this.dogCaughtPlayer) {
-        if (playerSpeed < this.dogSpeed) {
-          this.dogCaughtPlayer = true;
-          this.dog.classList.remove('running');
-          this.dog.classList.add('caught');
-          console.log('🐕 Dog caught you! Run faster!');
-          this.showFeedback('Dog caught you! Say "RUN"!', 'danger');
-        }
-      }
-      
-      // Despawn dog when completely off-screen to the right
-      if (this.isOffScreen(dogScreenX, 100)) {
-        console.log('🐕 Dog gave up!');
-        this.hideDog();
-      }
-      
-      if (this.dogCaughtPlayer && playerSpeed > this.dogSpeed) {
-        this.dogCaughtPlayer = false;
-        this.dog.classList.remove('caught');
-        this.dog.classList.add('running');
-        this.hideFeedback();
-      }
+    if (this.isTripped && time >= this.tripRecoverAt) {
+      this.recoverFromTrip();
     }
     
-    // Update waving person position
-    if (this.wavingPerson.style.display !== 'none') {
-      const personScreenX = this.wavingPersonX - playerX + (window.innerWidth / 2);
-      this.wavingPerson.style.transform = `translateX(${personScreenX}px)`;
-      
-      // Hide when scrolled off left side of screen
-      if (this.isOffScreen(personScreenX, 100)) {
-        this.hideWavingPerson();
-      }
-    }
+    // What behaviour hooks get to see this step
+    const frame = {
+      time,
+      deltaTime,
+      playerX: this.character.worldX,
+      playerSpeed: this.character.speed,
+      playerDirection: this.character.direction,
+      playerHeight: this.character.worldY,
+      playerState: this.character.currentState,
+      playerBox: this.character.getHitbox(),
+      previousPlayerBox: this.character.getHitbox(0),
+      groundLevel: 0 // Height of whatever is under the player's feet; hooks may raise it
+    };
     
-    // Update stone position and check collision
-    if (this.stoneActive) {
-      const stoneScreenX = this.stoneX - playerX + (window.innerWidth / 2);
-      this.stone.style.transform = `translateX(${stoneScreenX}px)`;
-
-      // Character walks left to right, so we need to check when character's RIGHT FOOT hits stone's LEFT EDGE
-      const charElement = document.getElementById('character');
-      const charRect = charElement.getBoundingClientRect();
-      const charRightFoot = charRect.right; // Right edge of character (where foot is)
-      const stoneLeftEdge = stoneScreenX; // Left edge of stone
-
-      // Collision triggers when character's foot reaches the stone
-      // Only trigger when foot actually touches (footToStone <= 0)
-      const footToStone = stoneLeftEdge - charRightFoot; // Distance from foot to stone
-      if (footToStone <= 0 && footToStone > -25 && !this.stoneHit) {
-        if (isJumping) {
-          // Successfully jumped over!
-          console.log('✅ Jumped over the stone!');
-          this.stoneHit = true;
-        } else if (!this.isTripped) {
-          // Hit the stone - trip!
-          // DEBUG: Log actual graphic positions at collision moment
-          console.log('💥 COLLISION - Graphics Position Debug:');
-          console.log(`  Character RIGHT FOOT: ${charRightFoot.toFixed(1)}px`);
-          console.log(`  Stone LEFT EDGE: ${stoneLeftEdge.toFixed(1)}px`);
-          console.log(`  Distance (foot to stone): ${footToStone.toFixed(1)}px (threshold: -25 to 0)`);
-          console.log(`  Character: left=${charRect.left.toFixed(1)}px, right=${charRect.right.toFixed(1)}px`);
-          console.log(`  Stone: left=${stoneScreenX.toFixed(1)}px, right=${(stoneScreenX + 60).toFixed(1)}px`);
-
-          this.stoneHit = true;
-          this.tripPlayer();
-        }
-      }
+    // An authored level replaces random spawning unless it asks for both
+    if (this.level) this.playLevel(time);
+    if (!this.level || this.level.random) this.spawnFromPools(time);
+    
+    // Move and run each entity's behaviour; despawn once off-screen
+    for (const entity of [...this.objects]) {
+      entity.previousX = entity.x;
+      entity.x += entity.speed * entity.direction * deltaTime;
+      entity.box = this.getHitbox(entity);
+      entity.screenX = this.getScreenX(entity);
+      if (entity.def.update) entity.def.update(entity, frame, this);
       
-      // Remove stone after passing (when it's off-screen left)
-      if (this.isOffScreen(stoneScreenX, 60)) {
-        this.hideStone();
+      if (this.objects.includes(entity) && this.isOffScreen(entity.screenX, entity.def.width)) {
+        this.despawn(entity, 'offscreen');
       }
     }
     
-    // Spawn airplane randomly (max 1 at a time)
-    if (!this.airplaneActive && timestamp - this.lastAirplaneSpawn > this.airplaneSpawnInterval + Math.random() * 10000) {
-      this.lastAirplaneSpawn = timestamp;
-      if (Math.random() < 0.4) {
-        this.spawnAirplane();
+    // Tell entities the player ran into (or out of) them
+    for (const { type, target } of this.collisions.update(frame.playerBox, [...this.objects])) {
+      if (target.def.onCollision && this.objects.includes(target)) {
+        target.def.onCollision(target, type, frame, this);
       }
     }
     
-    // Update airplane position (flies right to left)
-    if (this.airplaneActive) {
-      this.airplaneX -= this.airplaneSpeed * deltaTime;
-      this.airplane.style.transform = `translateX(${this.airplaneX}px)`;
-      
-      // Hide when off-screen to the left
-      if (this.isOffScreen(this.airplaneX, 200)) {
-        this.hideAirplane();
-      }
+    this.character.groundLevel = frame.groundLevel;
+  }
+  
+  /**
+   * Draw every entity between the last two simulation steps
+   */
+  render(alpha) {
+    for (const entity of this.objects) {
+      this.draw(entity, alpha);
     }
-    
-    // Spawn train randomly (max 1 at a time)
-    if (!this.trainActive && timestamp - this.lastTrainSpawn > this.trainSpawnInterval + Math.random() * 10000) {
-      this.lastTrainSpawn = timestamp;
-      if (Math.random() < 0.3) {
-        this.spawnTrain();
-      }
+    if (this.hitboxOverlay) this.drawHitboxes(alpha);
+  }
+
+  /**
+   * Turn the debug drawing of hitboxes on or off
+   */
+  showHitboxes(visible = true) {
+    if (visible && !this.hitboxOverlay) {
+      // The street line is wherever the stylesheet puts the character's feet
+      const container = this.character.container;
+      const groundY = container ? parseFloat(getComputedStyle(container).bottom) : NaN;
+      this.hitboxOverlay = new HitboxOverlay(this.scene, Number.isNaN(groundY) ? undefined : groundY);
+      this.drawHitboxes(1);
+    } else if (!visible && this.hitboxOverlay) {
+      this.hitboxOverlay.destroy();
+      this.hitboxOverlay = null;
     }
-    
-    // Update train position (goes left to right)
-    if (this.trainActive) {
-      this.trainX += this.trainSpeed * deltaTime;
-      this.train.style.transform = `translateX(${this.trainX}px)`;
-      
-      // Hide when off-screen to the right
-      if (this.isOffScreen(this.trainX, 400)) {
-        this.hideTrain();
-      }
+  }
+
+  /**
+   * Draw the player's and every entity's hitbox, highlighting the ones touching
+   */
+  drawHitboxes(alpha) {
+    const items = [{ key: 'player', box: this.character.getHitbox(alpha), kind: 'player' }];
+    for (const entity of this.objects) {
+      const box = this.getHitbox(entity, alpha);
+      if (!box) continue;
+      const touching = this.collisions.touching.has(entity.id) ? ' touching' : '';
+      items.push({ key: entity.id, box, kind: `${entity.type}${touching}` });
     }
-    
-    requestAnimationFrame(this.update);
+    this.hitboxOverlay.draw(items, this.character.getRenderX(alpha));
   }
   
   /**
@@ -535,24 +580,28 @@ export class WorldObjects {
       text.textContent = message;
       feedback.classList.add('visible');
       
-      if (type === 'danger') {
-        feedback.style.background = 'linear-gradient(135deg, #EF4444, #DC2626)';
-      } else if (type === 'warning') {
-        feedback.style.background = 'linear-gradient(135deg, #F59E0B, #D97706)';
-      } else {
-        feedback.style.background = '';
-      }
+      // Colours come from the stylesheet, toned down by --warning-intensity
+      feedback.classList.toggle('danger', type === 'danger');
+      feedback.classList.toggle('warning', type === 'warning');
     }
   }
   
+  /**
+   * Show an informational message for a few seconds
+   */
+  showMessage(message, duration = 3000) {
+    this.showFeedback(message, 'info');
+    clearTimeout(this.messageTimeout);
+    this.messageTimeout = setTimeout(() => this.hideFeedback(), duration);
+  }
+
   /**
    * Hide feedback message
    */
   hideFeedback() {
     const feedback = document.getElementById('commandFeedback');
     if (feedback) {
-      feedback.classList.remove('visible');
-      feedback.style.background = '';
+      feedback.classList.remove('visible', 'danger', 'warning');
     }
   }
 }
@@ -0,0 +1,45 @@
+/**
+ * Command matching: near misses of command words fire, everyday words don't
+ * Run with `npm test`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { matchCommand } from '../scripts/matching.js';
+import { locales } from '../scripts/locales.js';
+
+// The default SpeechRecognition threshold
+const THRESHOLD = 0.6;
+
+/**
+ * Best match for one word heard as a final result
+ */
+function hear(word, confidence = 0.9) {
+  return matchCommand([{ transcript: word, confidence }], locales.en.commands);
+}
+
+test('exact command words fire', () => {
+  for (const word of ['walk', 'run', 'stop', 'jump', 'hop', 'hi', 'plane', 'left']) {
+    const match = hear(word);
+    assert.ok(match.confidence >= THRESHOLD, `"${word}" scored ${match.confidence.toFixed(2)}`);
+  }
+});
+
+test('long near misses fire', () => {
+  assert.equal(hear('runing').command, 'run');
+  assert.equal(hear('jumpping').command, 'jump');
+  assert.ok(hear('jumpping').confidence >= THRESHOLD);
+});
+
+test('everyday words do not fire', () => {
+  const words = [
+    'fun', 'sun', 'talk', 'top', 'hey', 'train', 'bread', 'book', 'hold', 'held',
+    'rain', 'seed', 'show', 'snow', 'please', 'hope', 'lift', 'he', 'high', 'plan',
+    'the', 'and', 'go', 'no', 'yes', 'cat', 'dog', 'stone', 'walls', 'jam', 'stay'
+  ];
+  for (const word of words) {
+    const match = hear(word);
+    const score = match ? match.confidence : 0;
+    assert.ok(score < THRESHOLD, `"${word}" fired ${match && match.command} (${score.toFixed(2)})`);
+  }
+});
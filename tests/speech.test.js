@@ -0,0 +1,52 @@
+/**
+ * Speech recognition: acting on interim and final results
+ * Run with `npm test`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// No browser speech API here: the recognizer is driven with results directly
+globalThis.window = { localStorage: { getItem: () => null, setItem() {} } };
+const { SpeechRecognition } = await import('../scripts/speech.js');
+
+/**
+ * A recognizer result: alternatives plus the isFinal flag
+ */
+function result(transcript, confidence, isFinal) {
+  return Object.assign([{ transcript, confidence }], { isFinal });
+}
+
+/**
+ * A recognizer acting on interim results that records what it fired
+ */
+function createSpeech() {
+  const fired = [];
+  const speech = new SpeechRecognition((command) => fired.push(command), () => {}, { fireOnInterim: true });
+  return { speech, fired };
+}
+
+test('an exact interim word fires at the low confidence browsers report', () => {
+  const { speech, fired } = createSpeech();
+  speech.handleResult(result('jump', 0.01, false), 0);
+  assert.deepEqual(fired, ['jump']);
+});
+
+test('an exact interim word fires with no confidence at all', () => {
+  const { speech, fired } = createSpeech();
+  speech.handleResult(result('stop', 0, false), 0);
+  assert.deepEqual(fired, ['stop']);
+});
+
+test('the final result of an utterance that fired early does not fire again', () => {
+  const { speech, fired } = createSpeech();
+  speech.handleResult(result('jump', 0.01, false), 0);
+  speech.handleResult(result('jump', 0.9, true), 0);
+  assert.deepEqual(fired, ['jump']);
+});
+
+test('an interim near miss of a short word does not fire', () => {
+  const { speech, fired } = createSpeech();
+  speech.handleResult(result('plan', 0.01, false), 0);
+  assert.deepEqual(fired, []);
+});